@@ -0,0 +1,62 @@
+// Stand-in for the MongoDB driver in the tests, so no server is needed.
+// Every query finds nothing unless a test stubs it:
+//   mongodb.__stub("user", "findOne", async () => user)
+// and mongodb.__reset() removes all stubs.
+const actual = jest.requireActual("mongodb");
+
+let stubs = {};
+
+// A cursor whose chained calls (sort, limit, project...) all resolve to
+// items. The arguments of each call are recorded in `calls` by name.
+const cursor = (items = [], calls = {}) => {
+  const chain = new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (prop === "toArray") return async () => items;
+        if (prop === "then") return undefined;
+        return (...args) => {
+          calls[prop] = args;
+          return chain;
+        };
+      },
+    }
+  );
+  return chain;
+};
+
+const collection = (name) =>
+  new Proxy(
+    {},
+    {
+      get: (target, prop) => {
+        if (stubs[name]?.[prop]) return stubs[name][prop];
+        if (prop === "then") return undefined;
+        if (["find", "aggregate", "listIndexes"].includes(prop)) {
+          return () => cursor();
+        }
+        return async () => null;
+      },
+    }
+  );
+
+class MongoClient {
+  db() {
+    return {
+      collection,
+      command: async () => ({ ok: 1 }),
+    };
+  }
+}
+
+module.exports = {
+  ...actual,
+  MongoClient,
+  __cursor: cursor,
+  __stub: (name, method, fn) => {
+    stubs[name] = { ...stubs[name], [method]: fn };
+  },
+  __reset: () => {
+    stubs = {};
+  },
+};
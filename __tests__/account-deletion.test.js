@@ -0,0 +1,60 @@
+const bcrypt = require("bcryptjs");
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp, bearer } = require("./helpers/app");
+
+const donor = {
+  _id: new mongodb.ObjectId(),
+  email: "donor@example.com",
+  role: "donor",
+  status: "active",
+  password: bcrypt.hashSync("correct-horse", 4),
+};
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+test("deleting an account releases the units the donor pledged", async () => {
+  const pledged = {
+    _id: new mongodb.ObjectId(),
+    donation_status: "matched",
+    unitsNeeded: 1,
+    unitsPledged: 1,
+    pledges: [
+      {
+        _id: new mongodb.ObjectId(),
+        donorEmail: donor.email,
+        status: "pledged",
+      },
+    ],
+  };
+  const released = {
+    ...pledged,
+    unitsPledged: 0,
+    pledges: [{ ...pledged.pledges[0], status: "canceled" }],
+  };
+  const findOneAndUpdate = jest.fn(async () => released);
+  mongodb.__stub("user", "findOne", async () => donor);
+  mongodb.__stub("request", "find", () => mongodb.__cursor([pledged]));
+  mongodb.__stub("request", "findOneAndUpdate", findOneAndUpdate);
+
+  const res = await request(app)
+    .delete("/auth/me")
+    .set("Authorization", bearer(donor))
+    .send({ password: "correct-horse" });
+
+  expect(res.status).toBe(200);
+  const [filter, update] = findOneAndUpdate.mock.calls[0];
+  expect(filter._id).toBe(pledged._id);
+  expect(update.$set["pledges.$.status"]).toBe("canceled");
+  expect(update.$inc).toEqual({ unitsPledged: -1 });
+
+  // The request had no other pledges, so it goes back to pending
+  const [, reopen] = findOneAndUpdate.mock.calls[1];
+  expect(JSON.stringify(reopen)).toContain('"pending"');
+});
@@ -0,0 +1,52 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp, bearer } = require("./helpers/app");
+
+const admin = {
+  _id: new mongodb.ObjectId(),
+  email: "admin@example.com",
+  role: "admin",
+  status: "active",
+};
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+beforeEach(() => {
+  mongodb.__stub("user", "findOne", async () => admin);
+});
+
+afterEach(() => mongodb.__reset());
+
+test("treats page=0 and negative pages as the first page and caps limit", async () => {
+  const aggregate = jest.fn(() => mongodb.__cursor());
+  mongodb.__stub("audit_log", "aggregate", aggregate);
+  mongodb.__stub("audit_log", "countDocuments", async () => 0);
+
+  for (const page of ["0", "-3"]) {
+    const res = await request(app)
+      .get(`/audit-log?page=${page}&limit=500`)
+      .set("Authorization", bearer(admin));
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ page: 1, limit: 100 });
+  }
+  for (const [pipeline] of aggregate.mock.calls) {
+    expect(pipeline.some((stage) => "$skip" in stage)).toBe(false);
+  }
+});
+
+test("rejects invalid or reversed dates", async () => {
+  const invalid = await request(app)
+    .get("/audit-log?from=yesterday")
+    .set("Authorization", bearer(admin));
+  expect(invalid.status).toBe(400);
+  expect(invalid.body.error).toBe("from must be a date");
+
+  const reversed = await request(app)
+    .get("/audit-log?from=2026-05-02&to=2026-05-01")
+    .set("Authorization", bearer(admin));
+  expect(reversed.status).toBe(400);
+});
@@ -0,0 +1,74 @@
+const { loadIndex } = require("./helpers/app");
+
+const { COMPATIBILITY_TABLES, compatibleDonorGroups } = loadIndex();
+
+const GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+// Sorted copy, so comparisons ignore order without touching the tables
+const sorted = (groups) => [...groups].sort();
+
+describe("COMPATIBILITY_TABLES", () => {
+  test("cover every recipient for every component", () => {
+    for (const table of Object.values(COMPATIBILITY_TABLES)) {
+      expect(sorted(Object.keys(table))).toEqual(sorted(GROUPS));
+    }
+  });
+
+  test("red cells: O- gives to everyone, AB+ receives from everyone", () => {
+    for (const group of GROUPS) {
+      expect(COMPATIBILITY_TABLES.red_cells[group]).toContain("O-");
+    }
+    expect(sorted(COMPATIBILITY_TABLES.red_cells["AB+"])).toEqual(
+      sorted(GROUPS)
+    );
+    expect(COMPATIBILITY_TABLES.red_cells["O-"]).toEqual(["O-"]);
+  });
+
+  test("plasma: AB gives to everyone and Rh does not matter", () => {
+    for (const group of GROUPS) {
+      expect(COMPATIBILITY_TABLES.plasma[group]).toEqual(
+        expect.arrayContaining(["AB+", "AB-"])
+      );
+    }
+    expect(sorted(COMPATIBILITY_TABLES.plasma["A-"])).toEqual([
+      "A+",
+      "A-",
+      "AB+",
+      "AB-",
+    ]);
+    expect(sorted(COMPATIBILITY_TABLES.plasma["AB+"])).toEqual(["AB+", "AB-"]);
+  });
+
+  test("platelets: plasma ABO rule, Rh- recipients only get Rh- units", () => {
+    expect(sorted(COMPATIBILITY_TABLES.platelets["O-"])).toEqual([
+      "A-",
+      "AB-",
+      "B-",
+      "O-",
+    ]);
+    expect(COMPATIBILITY_TABLES.platelets["O+"]).toEqual(
+      COMPATIBILITY_TABLES.plasma["O+"]
+    );
+    expect(sorted(COMPATIBILITY_TABLES.platelets["B-"])).toEqual(["AB-", "B-"]);
+  });
+});
+
+describe("compatibleDonorGroups", () => {
+  test("lists the exact group first, without duplicates", () => {
+    const groups = compatibleDonorGroups("A+");
+    expect(groups[0]).toBe("A+");
+    expect(new Set(groups).size).toBe(groups.length);
+    expect(sorted(groups)).toEqual(["A+", "A-", "O+", "O-"]);
+  });
+
+  test("defaults to red cells", () => {
+    expect(compatibleDonorGroups("B-")).toEqual(
+      compatibleDonorGroups("B-", "red_cells")
+    );
+  });
+
+  test("falls back to the exact group for unknown input", () => {
+    expect(compatibleDonorGroups("A+", "whole_blood")).toEqual(["A+"]);
+    expect(compatibleDonorGroups("C+")).toEqual(["C+"]);
+  });
+});
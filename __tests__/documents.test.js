@@ -0,0 +1,60 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp, bearer } = require("./helpers/app");
+
+const moderator = {
+  _id: new mongodb.ObjectId(),
+  email: "admin@example.com",
+  role: "admin",
+  status: "active",
+};
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+beforeEach(() => {
+  mongodb.__stub("user", "findOne", async () => moderator);
+});
+
+afterEach(() => mongodb.__reset());
+
+test("returns 404 for malformed request ids", async () => {
+  const documentId = new mongodb.ObjectId();
+  const responses = await Promise.all([
+    request(app)
+      .post("/requests/not-an-id/documents")
+      .set("Authorization", bearer(moderator)),
+    request(app)
+      .get(`/requests/not-an-id/documents/${documentId}`)
+      .set("Authorization", bearer(moderator)),
+    request(app)
+      .patch(`/requests/not-an-id/documents/${documentId}/review`)
+      .set("Authorization", bearer(moderator))
+      .send({ decision: "approved" }),
+  ]);
+  for (const res of responses) {
+    expect(res.status).toBe(404);
+  }
+});
+
+test("clamps the verification queue page size", async () => {
+  const calls = {};
+  mongodb.__stub("request", "find", () => mongodb.__cursor([], calls));
+  mongodb.__stub("request", "countDocuments", async () => 0);
+
+  const res = await request(app)
+    .get("/requests/verification-queue?limit=0&page=0")
+    .set("Authorization", bearer(moderator));
+  expect(res.status).toBe(200);
+  expect(res.body.page).toBe(1);
+  expect(calls.skip).toEqual([0]);
+  expect(calls.limit).toEqual([20]);
+
+  await request(app)
+    .get("/requests/verification-queue?limit=100000")
+    .set("Authorization", bearer(moderator));
+  expect(calls.limit).toEqual([100]);
+});
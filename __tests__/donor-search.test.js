@@ -0,0 +1,61 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+test("looks up donations through the donor email indexes", async () => {
+  const aggregate = jest.fn(() => mongodb.__cursor());
+  mongodb.__stub("user", "aggregate", aggregate);
+  mongodb.__stub("user", "countDocuments", async () => 0);
+
+  const res = await request(app).get("/donors/search?sortBy=donations");
+  expect(res.status).toBe(200);
+
+  const [pipeline] = aggregate.mock.calls[0];
+  const lookups = pipeline
+    .filter((stage) => stage.$lookup?.from === "request")
+    .map(({ $lookup }) => $lookup);
+  expect(lookups.map((lookup) => lookup.foreignField)).toEqual([
+    "pledges.donorEmail",
+    "donorEmail",
+  ]);
+  for (const lookup of lookups) {
+    expect(lookup.localField).toBe("email");
+  }
+});
+
+test("returns only public donor profiles", async () => {
+  mongodb.__stub("user", "aggregate", () =>
+    mongodb.__cursor([
+      {
+        _id: "donor-1",
+        name: "Donor",
+        email: "donor@example.com",
+        bloodGroup: "O-",
+        district: "Dhaka",
+        location: { type: "Point", coordinates: [90.4125, 23.8103] },
+        quietHours: { start: "22:00", end: "07:00" },
+        donationCount: 2,
+      },
+    ])
+  );
+  mongodb.__stub("user", "countDocuments", async () => 1);
+
+  const res = await request(app).get(
+    "/donors/search?near=23.8103,90.4125&radiusKm=10"
+  );
+  expect(res.status).toBe(200);
+  const [donor] = res.body.donors;
+  expect(donor).toMatchObject({ name: "Donor", donationCount: 2 });
+  expect(donor.distanceKm).toBe(0);
+  for (const field of ["email", "location", "quietHours"]) {
+    expect(donor).not.toHaveProperty(field);
+  }
+});
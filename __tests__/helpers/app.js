@@ -0,0 +1,42 @@
+// Loads index.js for the tests. The MongoDB driver is replaced by
+// __mocks__/mongodb.js, and run() is kept from binding a real port.
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+
+process.env.STRIPE_KEY = "sk_test_suite";
+process.env.JWT_SECRET = "test-suite-secret";
+process.env.MONGODB_URI = "mongodb://127.0.0.1:1/test";
+process.env.SCHEDULER_ENABLED = "false";
+process.env.CRON_SECRET = "test-cron-secret";
+
+jest
+  .spyOn(express.application, "listen")
+  .mockImplementation(function (port, callback) {
+    if (callback) callback();
+    return { close: () => {} };
+  });
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+// The app with its pure helpers; routes are registered asynchronously
+const loadIndex = () => require("../../index.js");
+
+// The app once run() has registered every route (/test-final is the last)
+const startApp = async () => {
+  const app = loadIndex();
+  for (let i = 0; i < 50; i++) {
+    const res = await request(app).get("/test-final");
+    if (res.status === 200) return app;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error("Server did not finish registering routes");
+};
+
+// Authorization header for an access token issued to `user`
+const bearer = (user) =>
+  `Bearer ${jwt.sign(
+    { email: user.email, role: user.role, tokenVersion: 0 },
+    process.env.JWT_SECRET
+  )}`;
+
+module.exports = { loadIndex, startApp, bearer };
@@ -0,0 +1,53 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+
+process.env.ADMIN_BOOTSTRAP_TOKEN = "test-bootstrap-token";
+const { startApp, bearer } = require("./helpers/app");
+
+const admin = {
+  _id: new mongodb.ObjectId(),
+  email: "admin@example.com",
+  role: "admin",
+  status: "active",
+};
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+describe("POST /create-first-admin", () => {
+  test("frees the bootstrap slot when the admin cannot be created", async () => {
+    const deleteOne = jest.fn(async () => ({ deletedCount: 1 }));
+    mongodb.__stub("settings", "insertOne", async () => ({}));
+    mongodb.__stub("settings", "deleteOne", deleteOne);
+    mongodb.__stub("user", "insertOne", async () => {
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    });
+    jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+    const res = await request(app).post("/create-first-admin").send({
+      bootstrapToken: "test-bootstrap-token",
+      name: "First Admin",
+      email: "admin@example.com",
+      password: "correct-horse",
+    });
+
+    expect(res.status).toBe(500);
+    expect(deleteOne).toHaveBeenCalledWith({ _id: "admin_bootstrap" });
+  });
+});
+
+describe("DELETE /invitations/:id", () => {
+  test("rejects a malformed id", async () => {
+    mongodb.__stub("user", "findOne", async () => admin);
+
+    const res = await request(app)
+      .delete("/invitations/not-an-id")
+      .set("Authorization", bearer(admin));
+    expect(res.status).toBe(400);
+  });
+});
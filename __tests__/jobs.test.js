@@ -0,0 +1,64 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+test("runs scheduled jobs over HTTP with the cron secret", async () => {
+  const denied = await request(app).get("/jobs/expire-requests");
+  expect(denied.status).toBe(401);
+
+  const res = await request(app)
+    .get("/jobs/expire-requests")
+    .set("Authorization", "Bearer test-cron-secret");
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual({
+    job: "expire-requests",
+    skipped: false,
+    processed: 0,
+  });
+});
+
+test("does not expose unknown jobs", async () => {
+  const res = await request(app)
+    .get("/jobs/drop-everything")
+    .set("Authorization", "Bearer test-cron-secret");
+  expect(res.status).toBe(404);
+});
+
+test("does not alert donors about hidden requests when holds lapse", async () => {
+  const lapsed = {
+    _id: new mongodb.ObjectId(),
+    donorEmail: "donor@example.com",
+    status: "pledged",
+    holdExpiresAt: new Date(Date.now() - 60 * 1000),
+  };
+  const hidden = {
+    _id: new mongodb.ObjectId(),
+    donation_status: "matched",
+    hidden: true,
+    pledges: [lapsed],
+  };
+  const donorSearch = jest.fn(() => mongodb.__cursor());
+  mongodb.__stub("request", "find", () => mongodb.__cursor([hidden]));
+  mongodb.__stub("request", "findOneAndUpdate", async () => ({
+    ...hidden,
+    donation_status: "pending",
+    pledges: [{ ...lapsed, status: "expired" }],
+  }));
+  mongodb.__stub("user", "aggregate", donorSearch);
+
+  const res = await request(app)
+    .get("/jobs/release-expired-holds")
+    .set("Authorization", "Bearer test-cron-secret");
+
+  expect(res.status).toBe(200);
+  expect(res.body.processed).toBe(1);
+  expect(donorSearch).not.toHaveBeenCalled();
+});
@@ -0,0 +1,58 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { loadIndex, startApp } = require("./helpers/app");
+
+const { lockoutMinutesFor } = loadIndex();
+
+describe("lockoutMinutesFor", () => {
+  test("does not lock before the threshold", () => {
+    expect(lockoutMinutesFor(0)).toBe(0);
+    expect(lockoutMinutesFor(4)).toBe(0);
+  });
+
+  test("doubles with every further run of failures, up to an hour", () => {
+    expect(lockoutMinutesFor(5)).toBe(5);
+    expect(lockoutMinutesFor(9)).toBe(5);
+    expect(lockoutMinutesFor(10)).toBe(10);
+    expect(lockoutMinutesFor(15)).toBe(20);
+    expect(lockoutMinutesFor(20)).toBe(40);
+    expect(lockoutMinutesFor(25)).toBe(60);
+    expect(lockoutMinutesFor(100)).toBe(60);
+  });
+});
+
+describe("POST /auth/login", () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => mongodb.__reset());
+
+  test("rejects credentials that are not strings", async () => {
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email: { $ne: null }, password: "secret" });
+    expect(res.status).toBe(400);
+  });
+
+  test("locks the account after failures from other IPs", async () => {
+    const failures = Array.from({ length: 5 }, () => ({
+      createdAt: new Date(),
+    }));
+    const find = jest.fn(() => mongodb.__cursor(failures));
+    mongodb.__stub("login_attempts", "find", find);
+
+    const res = await request(app)
+      .post("/auth/login")
+      .send({ email: "Donor@Example.com", password: "guess" });
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBeDefined();
+
+    // The account check is not narrowed to the caller's IP
+    const [query] = find.mock.calls[0];
+    expect(query).toMatchObject({ email: "donor@example.com", success: false });
+    expect(query).not.toHaveProperty("ip");
+  });
+});
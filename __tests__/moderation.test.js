@@ -0,0 +1,55 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp, bearer } = require("./helpers/app");
+
+const moderator = {
+  _id: new mongodb.ObjectId(),
+  email: "admin@example.com",
+  role: "admin",
+  status: "active",
+};
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+beforeEach(() => {
+  mongodb.__stub("user", "findOne", async () => moderator);
+});
+
+afterEach(() => mongodb.__reset());
+
+test("returns 404 for malformed request ids", async () => {
+  const report = await request(app)
+    .post("/requests/not-an-id/report")
+    .set("Authorization", bearer(moderator))
+    .send({ reason: "spam" });
+  expect(report.status).toBe(404);
+
+  const moderation = await request(app)
+    .patch("/requests/not-an-id/moderation")
+    .set("Authorization", bearer(moderator))
+    .send({ action: "hide" });
+  expect(moderation.status).toBe(404);
+});
+
+test("clamps the moderation queue page size", async () => {
+  const calls = {};
+  mongodb.__stub("request", "find", () => mongodb.__cursor([], calls));
+  mongodb.__stub("request", "countDocuments", async () => 0);
+
+  const res = await request(app)
+    .get("/requests/moderation-queue?state=hidden&limit=0&page=-1")
+    .set("Authorization", bearer(moderator));
+  expect(res.status).toBe(200);
+  expect(res.body.page).toBe(1);
+  expect(calls.skip).toEqual([0]);
+  expect(calls.limit).toEqual([20]);
+
+  await request(app)
+    .get("/requests/moderation-queue?limit=5000")
+    .set("Authorization", bearer(moderator));
+  expect(calls.limit).toEqual([100]);
+});
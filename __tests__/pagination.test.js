@@ -0,0 +1,162 @@
+const { ObjectId } = require("mongodb");
+const { loadIndex } = require("./helpers/app");
+
+const {
+  withIdTiebreak,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parsePagination,
+  parsePageNumber,
+} = loadIndex();
+
+// Evaluates the subset of query operators cursorFilter produces
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((f) => matches(doc, f));
+    if (key === "$and") return condition.every((f) => matches(doc, f));
+    const value = doc[key] ?? null;
+    if (condition === null || typeof condition !== "object") {
+      return value === condition;
+    }
+    const [[op, operand]] = Object.entries(condition);
+    if (op === "$ne") return value !== operand;
+    if (value === null) return false;
+    return op === "$gt" ? value > operand : value < operand;
+  });
+
+// MongoDB order: null lowest, then by value
+const compare = (a, b) =>
+  a === b ? 0 : a === null ? -1 : b === null ? 1 : a < b ? -1 : 1;
+const sortDocs = (docs, sort) =>
+  [...docs].sort((a, b) => {
+    for (const [key, dir] of Object.entries(sort)) {
+      const order = compare(a[key] ?? null, b[key] ?? null) * dir;
+      if (order) return order;
+    }
+    return 0;
+  });
+
+describe("withIdTiebreak", () => {
+  test("appends _id in the direction of the last key", () => {
+    expect(withIdTiebreak({ createdAt: -1 })).toEqual({
+      createdAt: -1,
+      _id: -1,
+    });
+    expect(withIdTiebreak({ score: -1, name: 1 })).toEqual({
+      score: -1,
+      name: 1,
+      _id: 1,
+    });
+    expect(withIdTiebreak({ _id: 1 })).toEqual({ _id: 1 });
+  });
+});
+
+describe("encodeCursor / decodeCursor", () => {
+  const sort = { createdAt: -1, _id: -1 };
+
+  test("round-trip dates, ids and missing values", () => {
+    const doc = {
+      createdAt: new Date("2026-01-02T03:04:05Z"),
+      _id: new ObjectId(),
+    };
+    const [createdAt, id] = decodeCursor(sort, encodeCursor(sort, doc));
+    expect(createdAt).toEqual(doc.createdAt);
+    expect(id.equals(doc._id)).toBe(true);
+
+    expect(decodeCursor(sort, encodeCursor(sort, { _id: 1 }))).toEqual([
+      null,
+      1,
+    ]);
+  });
+
+  test("reject garbage and cursors made for another sort", () => {
+    expect(decodeCursor(sort, "not a cursor")).toBeNull();
+    const other = encodeCursor({ name: 1 }, { name: "x" });
+    expect(decodeCursor(sort, other)).toBeNull();
+    const nested = Buffer.from('[{"a":1},2]').toString("base64url");
+    expect(decodeCursor(sort, nested)).toBeNull();
+  });
+});
+
+describe("cursorFilter", () => {
+  const docs = [
+    { _id: 1, score: 3 },
+    { _id: 2, score: null },
+    { _id: 3, score: 5 },
+    { _id: 4, score: 3 },
+    { _id: 5 },
+    { _id: 6, score: 1 },
+    { _id: 7, score: 5 },
+  ];
+
+  // Walk the whole list two at a time, as fetchPage would
+  const walk = (sort, forward) => {
+    const ordered = sortDocs(docs, forward ? sort : invert(sort));
+    const seen = [];
+    let page = ordered.slice(0, 2);
+    while (page.length) {
+      seen.push(...page);
+      const last = page[page.length - 1];
+      const values = Object.keys(sort).map((key) => last[key] ?? null);
+      const filter = cursorFilter(sort, values, forward);
+      page = ordered.filter((doc) => matches(doc, filter)).slice(0, 2);
+    }
+    return seen.map((doc) => doc._id);
+  };
+  const invert = (sort) =>
+    Object.fromEntries(Object.entries(sort).map(([k, d]) => [k, -d]));
+
+  test.each([
+    [{ score: -1, _id: -1 }],
+    [{ score: 1, _id: 1 }],
+    [{ score: -1, _id: 1 }],
+  ])("visits every item once with sort %j", (sort) => {
+    const expected = sortDocs(docs, sort).map((doc) => doc._id);
+    expect(walk(sort, true)).toEqual(expected);
+    expect(walk(sort, false)).toEqual([...expected].reverse());
+  });
+});
+
+describe("parsePagination", () => {
+  test("clamps the size and treats bad pages as the first", () => {
+    expect(parsePagination({ size: "0", page: "-4" })).toMatchObject({
+      size: 10,
+      skip: 0,
+    });
+    expect(parsePagination({ size: "-5" }).size).toBe(1);
+    expect(
+      parsePagination({ limit: "1000", page: "3" }, { sizeParam: "limit" })
+    ).toMatchObject({ size: 100, skip: 200 });
+    expect(parsePagination({ page: "0" }, { firstPage: 0 }).skip).toBe(0);
+  });
+
+  test("only counts cursor pages on request", () => {
+    expect(parsePagination({}).includeTotal).toBe(true);
+    expect(parsePagination({ includeTotal: "false" }).includeTotal).toBe(false);
+    expect(parsePagination({ after: "x" })).toMatchObject({
+      cursor: "x",
+      forward: true,
+      skip: 0,
+      includeTotal: false,
+    });
+    expect(parsePagination({ before: "y" }).forward).toBe(false);
+  });
+
+  test("rejects after and before together", () => {
+    expect(parsePagination({ after: "x", before: "y" })).toEqual({
+      error: "Use either after or before, not both",
+    });
+  });
+});
+
+describe("parsePageNumber", () => {
+  test("ignores cursors", () => {
+    expect(
+      parsePageNumber(
+        { after: "x", before: "y", page: "2", limit: "5" },
+        { sizeParam: "limit" }
+      )
+    ).toEqual({ page: 2, size: 5, skip: 5 });
+  });
+});
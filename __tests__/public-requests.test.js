@@ -0,0 +1,49 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp } = require("./helpers/app");
+
+const PRIVATE_FIELDS = [
+  "notifiedDonors",
+  "pledges.donorEmail",
+  "statusHistory.by",
+];
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+test("/donation-request leaves donor emails and alerts out", async () => {
+  const aggregate = jest.fn(() => mongodb.__cursor());
+  mongodb.__stub("request", "aggregate", aggregate);
+
+  const res = await request(app).get("/donation-request");
+  expect(res.status).toBe(200);
+
+  const [pipeline] = aggregate.mock.calls[0];
+  const { $project } = pipeline.find((stage) => stage.$project);
+  for (const field of PRIVATE_FIELDS) {
+    expect($project[field]).toBe(0);
+  }
+});
+
+test("/requests/emergency clamps paging and leaves private fields out", async () => {
+  const calls = {};
+  const find = jest.fn(() => mongodb.__cursor([], calls));
+  mongodb.__stub("request", "find", find);
+  mongodb.__stub("request", "countDocuments", async () => 0);
+
+  const res = await request(app).get("/requests/emergency?page=-2&limit=5000");
+  expect(res.status).toBe(200);
+  expect(res.body).toMatchObject({ page: 1, pages: 0 });
+  expect(calls.skip).toEqual([0]);
+  expect(calls.limit).toEqual([100]);
+
+  const [, { projection }] = find.mock.calls[0];
+  for (const field of PRIVATE_FIELDS) {
+    expect(projection[field]).toBe(0);
+  }
+});
@@ -0,0 +1,45 @@
+const { loadIndex } = require("./helpers/app");
+
+const { isInQuietHours } = loadIndex();
+
+// 2026-03-10 at hh:mm UTC (Asia/Dhaka is UTC+6, with no DST)
+const utc = (time) => new Date(`2026-03-10T${time}:00Z`);
+
+const overnight = (timezone) => ({
+  quietHours: { start: "22:00", end: "07:00", ...(timezone && { timezone }) },
+});
+
+test("is never quiet without a complete window", () => {
+  expect(isInQuietHours({}, utc("12:00"))).toBe(false);
+  expect(isInQuietHours({ quietHours: null }, utc("12:00"))).toBe(false);
+  expect(isInQuietHours({ quietHours: { start: "22:00" } }, utc("20:00"))).toBe(
+    false
+  );
+});
+
+test("handles a window within the day, end exclusive", () => {
+  const user = {
+    quietHours: { start: "13:00", end: "15:00", timezone: "UTC" },
+  };
+  expect(isInQuietHours(user, utc("12:59"))).toBe(false);
+  expect(isInQuietHours(user, utc("13:00"))).toBe(true);
+  expect(isInQuietHours(user, utc("14:30"))).toBe(true);
+  expect(isInQuietHours(user, utc("15:00"))).toBe(false);
+});
+
+test("wraps past midnight", () => {
+  const user = overnight("UTC");
+  expect(isInQuietHours(user, utc("21:59"))).toBe(false);
+  expect(isInQuietHours(user, utc("23:30"))).toBe(true);
+  expect(isInQuietHours(user, utc("03:00"))).toBe(true);
+  expect(isInQuietHours(user, utc("07:00"))).toBe(false);
+});
+
+test("uses the donor's time zone, or the default one", () => {
+  // 17:00 UTC is 23:00 in Dhaka and 13:00 in New York
+  expect(isInQuietHours(overnight("Asia/Dhaka"), utc("17:00"))).toBe(true);
+  expect(isInQuietHours(overnight("America/New_York"), utc("17:00"))).toBe(
+    false
+  );
+  expect(isInQuietHours(overnight(), utc("17:00"))).toBe(true);
+});
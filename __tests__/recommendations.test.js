@@ -0,0 +1,115 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { loadIndex, startApp, bearer } = require("./helpers/app");
+
+const { scoreDonor, RECOMMENDATION_WEIGHTS } = loadIndex();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const dhaka = { type: "Point", coordinates: [90.4125, 23.8103] };
+const bloodRequest = {
+  blood_group: "A+",
+  district: "Dhaka",
+  upazila: "Gulshan",
+  location: dhaka,
+};
+
+describe("scoreDonor", () => {
+  test("gives a perfect, nearby, active donor every point", () => {
+    const result = scoreDonor(
+      bloodRequest,
+      { bloodGroup: "A+", location: dhaka },
+      { notified: 4, responded: 4, lastSeenAt: daysAgo(1) }
+    );
+    const max = Object.values(RECOMMENDATION_WEIGHTS).reduce((a, b) => a + b);
+    expect(result.score).toBe(max);
+    expect(result).toMatchObject({
+      matchType: "exact",
+      distanceKm: 0,
+      eligible: true,
+      nextEligibleAt: null,
+    });
+  });
+
+  test("ranks compatible groups below exact matches", () => {
+    const exact = scoreDonor(bloodRequest, { bloodGroup: "A+" });
+    const compatible = scoreDonor(bloodRequest, { bloodGroup: "O-" });
+    expect(compatible.matchType).toBe("compatible");
+    expect(compatible.breakdown.compatibility).toBeLessThan(
+      exact.breakdown.compatibility
+    );
+  });
+
+  test("falls back to district and upazila without coordinates", () => {
+    const request = { ...bloodRequest, location: undefined };
+    const upazila = scoreDonor(request, {
+      bloodGroup: "A+",
+      district: "dhaka",
+      upazila: "Gulshan",
+    });
+    const district = scoreDonor(request, {
+      bloodGroup: "A+",
+      district: "Dhaka",
+    });
+    const elsewhere = scoreDonor(request, {
+      bloodGroup: "A+",
+      district: "Sylhet",
+    });
+    expect(upazila.distanceKm).toBeNull();
+    expect(upazila.breakdown.distance).toBeGreaterThan(
+      district.breakdown.distance
+    );
+    expect(elsewhere.breakdown.distance).toBe(0);
+  });
+
+  test("applies the 90-day eligibility rule", () => {
+    const recent = scoreDonor(
+      bloodRequest,
+      { bloodGroup: "A+" },
+      { lastDonationAt: daysAgo(30) }
+    );
+    expect(recent.eligible).toBe(false);
+    expect(recent.breakdown.eligibility).toBe(0);
+    expect(recent.nextEligibleAt.getTime()).toBeGreaterThan(Date.now());
+
+    const rested = scoreDonor(
+      bloodRequest,
+      { bloodGroup: "A+" },
+      { lastDonationAt: daysAgo(91) }
+    );
+    expect(rested.eligible).toBe(true);
+  });
+
+  test("gives donors never alerted half the response points", () => {
+    const { breakdown } = scoreDonor(bloodRequest, { bloodGroup: "A+" });
+    expect(breakdown.responseRate).toBe(
+      RECOMMENDATION_WEIGHTS.responseRate / 2
+    );
+    expect(breakdown.activity).toBe(0);
+  });
+});
+
+describe("GET /requests/:id/recommended-donors", () => {
+  const requester = {
+    email: "requester@example.com",
+    role: "donor",
+    status: "active",
+  };
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => mongodb.__reset());
+
+  test("returns 404 for a malformed id", async () => {
+    mongodb.__stub("user", "findOne", async () => requester);
+
+    const res = await request(app)
+      .get("/requests/not-an-id/recommended-donors")
+      .set("Authorization", bearer(requester));
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,28 @@
+// Boots index.js against the fake MongoDB driver and checks that every
+// route gets registered. Catches load-time errors such as using a constant
+// before its declaration.
+const request = require("supertest");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+test("serves the root route", async () => {
+  const res = await request(app).get("/");
+  expect(res.status).toBe(200);
+  expect(res.text).toBe("Hello World!");
+});
+
+test("protects authenticated routes", async () => {
+  const res = await request(app).get("/my-request");
+  expect(res.status).toBe(401);
+});
+
+test("serves public listings", async () => {
+  const res = await request(app).get("/donation-request?status=open");
+  expect(res.status).toBe(200);
+  expect(res.body.requests).toEqual([]);
+});
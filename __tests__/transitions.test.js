@@ -0,0 +1,96 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { loadIndex, startApp, bearer } = require("./helpers/app");
+
+const { REQUEST_TRANSITIONS, requestActorsFor, transitionActor } = loadIndex();
+
+const pending = {
+  _id: new mongodb.ObjectId(),
+  requesterEmail: "requester@example.com",
+  donation_status: "pending",
+  pledges: [],
+};
+const donor = {
+  _id: new mongodb.ObjectId(),
+  email: "donor@example.com",
+  role: "donor",
+  status: "active",
+};
+
+describe("REQUEST_TRANSITIONS", () => {
+  test("closed statuses are final", () => {
+    for (const status of ["done", "canceled", "expired"]) {
+      expect(REQUEST_TRANSITIONS[status]).toEqual({});
+    }
+  });
+
+  test("only lists known statuses as targets", () => {
+    const statuses = Object.keys(REQUEST_TRANSITIONS);
+    for (const targets of Object.values(REQUEST_TRANSITIONS)) {
+      for (const to of Object.keys(targets)) {
+        expect(statuses).toContain(to);
+      }
+    }
+  });
+});
+
+describe("requestActorsFor", () => {
+  test("tells the requester, pledged donors and other users apart", () => {
+    const matched = {
+      ...pending,
+      donation_status: "matched",
+      pledges: [{ donorEmail: "Donor@example.com", status: "pledged" }],
+    };
+    expect(
+      requestActorsFor(matched, { email: "requester@example.com" })
+    ).toEqual(["requester"]);
+    expect(requestActorsFor(matched, donor)).toEqual(["donor"]);
+    expect(requestActorsFor(matched, { email: "other@example.com" })).toEqual([
+      "claimant",
+    ]);
+  });
+});
+
+describe("transitionActor", () => {
+  test("returns the first actor allowed to make the change", () => {
+    const matched = { donation_status: "matched" };
+    expect(transitionActor(matched, "inprogress", ["donor"])).toBe("donor");
+    expect(transitionActor(matched, "canceled", ["donor", "moderator"])).toBe(
+      "moderator"
+    );
+  });
+
+  test("returns null for disallowed actors and transitions", () => {
+    expect(transitionActor(pending, "canceled", ["claimant"])).toBeNull();
+    expect(transitionActor(pending, "done", ["requester"])).toBeNull();
+    expect(transitionActor(pending, "expired", ["moderator"])).toBeNull();
+    expect(
+      transitionActor({ donation_status: "done" }, "pending", ["system"])
+    ).toBeNull();
+  });
+});
+
+describe("PATCH /donation-request/:id/update-status", () => {
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  });
+
+  afterEach(() => mongodb.__reset());
+
+  test("does not let other users mark a request as matched", async () => {
+    const findOneAndUpdate = jest.fn(async () => null);
+    mongodb.__stub("user", "findOne", async () => donor);
+    mongodb.__stub("request", "findOne", async () => pending);
+    mongodb.__stub("request", "findOneAndUpdate", findOneAndUpdate);
+
+    const res = await request(app)
+      .patch(`/donation-request/${pending._id}/update-status`)
+      .set("Authorization", bearer(donor))
+      .send({ donation_status: "matched" });
+
+    expect(res.status).toBe(403);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
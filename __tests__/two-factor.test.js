@@ -0,0 +1,74 @@
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { loadIndex, startApp } = require("./helpers/app");
+
+const { generateTotp, verifyTotp, encryptSecret, decryptSecret } = loadIndex();
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP", () => {
+  test("matches the RFC 6238 SHA-1 test vector", () => {
+    // T = 59s is step 1; the RFC's 8-digit code is 94287082
+    expect(generateTotp(SECRET, 1)).toBe("287082");
+  });
+
+  test("accepts the current code and rejects malformed ones", () => {
+    const step = Math.floor(Date.now() / 1000 / 30);
+    expect(verifyTotp(SECRET, generateTotp(SECRET, step))).toBe(step);
+    expect(verifyTotp(SECRET, "12345")).toBeNull();
+    expect(verifyTotp(SECRET, { code: 1 })).toBeNull();
+  });
+});
+
+describe("secret encryption", () => {
+  test("round-trips and never stores the plain secret", () => {
+    const stored = encryptSecret(SECRET);
+    expect(stored).not.toContain(SECRET);
+    expect(encryptSecret(SECRET)).not.toBe(stored);
+    expect(decryptSecret(stored)).toBe(SECRET);
+  });
+
+  test("passes through secrets stored before encryption", () => {
+    expect(decryptSecret(SECRET)).toBe(SECRET);
+  });
+});
+
+describe("POST /auth/login/2fa", () => {
+  const userId = new mongodb.ObjectId();
+  let app;
+
+  beforeAll(async () => {
+    app = await startApp();
+  });
+
+  beforeEach(() => {
+    mongodb.__stub("user", "findOne", async () => ({
+      _id: userId,
+      email: "donor@example.com",
+      status: "active",
+    }));
+    mongodb.__stub("two_factor", "findOne", async () => ({
+      _id: new mongodb.ObjectId(),
+      userId,
+      enabled: true,
+      secret: encryptSecret(SECRET),
+      recoveryCodes: [],
+    }));
+  });
+
+  afterEach(() => mongodb.__reset());
+
+  test("rejects a recovery code that is not a string", async () => {
+    const challengeToken = jwt.sign(
+      { userId: userId.toString(), purpose: "2fa_challenge" },
+      process.env.JWT_SECRET
+    );
+    const res = await request(app)
+      .post("/auth/login/2fa")
+      .send({ challengeToken, recoveryCode: 12345678 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid authentication code");
+  });
+});
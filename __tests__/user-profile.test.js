@@ -0,0 +1,33 @@
+const request = require("supertest");
+const mongodb = require("mongodb");
+const { startApp } = require("./helpers/app");
+
+let app;
+
+beforeAll(async () => {
+  app = await startApp();
+});
+
+afterEach(() => mongodb.__reset());
+
+test("leaves account internals out of public profiles", async () => {
+  const findOne = jest.fn(async () => ({ email: "donor@example.com" }));
+  mongodb.__stub("user", "findOne", findOne);
+
+  const res = await request(app).get("/users/role/Donor@example.com");
+  expect(res.status).toBe(200);
+
+  const [query, { projection }] = findOne.mock.calls[0];
+  expect(query).toEqual({ email: "donor@example.com" });
+  for (const field of [
+    "password",
+    "location",
+    "tokenVersion",
+    "permissions",
+    "twoFactorEnabled",
+    "quietHours",
+    "withdrawalCount",
+  ]) {
+    expect(projection[field]).toBe(0);
+  }
+});
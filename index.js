@@ -1,8 +1,15 @@
-const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { MongoClient, ServerApiVersion, ObjectId, BSON } = require("mongodb");
 const express = require("express");
 const cors = require("cors");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const { rateLimit } = require("express-rate-limit");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const cron = require("node-cron");
+const geolib = require("geolib");
 require("dotenv").config();
 
 const port = process.env.PORT || 3000;
@@ -18,6 +25,9 @@ const stripe = require("stripe")(stripeKey);
 
 const app = express();
 
+// Behind Vercel/Heroku proxies: use X-Forwarded-For for req.ip
+app.set("trust proxy", 1);
+
 // Test route registered BEFORE run()
 app.get("/test-before-run", (req, res) => {
   res.send({ message: "Test before run working!" });
@@ -35,6 +45,1277 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+// Token lifetimes: short-lived access tokens, rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES) || 30;
+
+// Outgoing mail transport: "collection" (default), "file" or "console"
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "collection";
+const MAIL_OUTBOX_FILE = process.env.MAIL_OUTBOX_FILE || "mail-outbox.jsonl";
+const SITE_DOMAIN = process.env.SITE_DOMAIN || "http://localhost:5173";
+
+// One-time secret for /create-first-admin (endpoint disabled when unset)
+const ADMIN_BOOTSTRAP_TOKEN = process.env.ADMIN_BOOTSTRAP_TOKEN;
+const ENABLE_DEMO_SEED = process.env.ENABLE_DEMO_SEED === "true";
+const INVITE_DEFAULT_HOURS = 72;
+
+// Email verification link lifetime and whether unverified donors are matched
+const VERIFY_TOKEN_HOURS = parseInt(process.env.VERIFY_TOKEN_HOURS) || 24;
+const REQUIRE_VERIFIED_DONORS = process.env.REQUIRE_VERIFIED_DONORS === "true";
+
+// Background jobs (request expiry, reminders); disable on extra instances
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== "false";
+// Lets an external scheduler (e.g. Vercel Cron) run the jobs over HTTP
+const CRON_SECRET = process.env.CRON_SECRET;
+// Requests in progress this long without activity get a reminder
+const STALE_REQUEST_DAYS = parseInt(process.env.STALE_REQUEST_DAYS) || 3;
+// A pledge holds its unit this long unless the donor checks in
+const CLAIM_HOLD_HOURS = parseInt(process.env.CLAIM_HOLD_HOURS) || 24;
+
+// Hospital documents (requisition slips, doctor's notes) on local disk
+const UPLOAD_DIR = process.env.UPLOAD_DIR || "uploads";
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 5;
+
+// Base query for donors who may be searched for or alerted.
+// Accounts created before verification existed have no flag and still match.
+// Donors who are not available, or unavailable until a later date, are
+// left out; accounts without an availability setting count as available.
+const donorMatchQuery = (extra = {}) => ({
+  role: { $in: ["donor", "volunteer"] },
+  status: "active",
+  ...(REQUIRE_VERIFIED_DONORS && { emailVerified: { $ne: false } }),
+  "availability.status": { $ne: "not_available" },
+  $nor: [
+    {
+      "availability.status": "unavailable",
+      "availability.until": { $gt: new Date() },
+    },
+  ],
+  ...extra,
+});
+
+// What anyone may see about a donor in search results and recommendations
+const publicDonorProfile = ({
+  _id,
+  name,
+  photoURL,
+  bloodGroup,
+  district,
+  upazila,
+}) => ({
+  _id,
+  name,
+  photoURL,
+  bloodGroup,
+  district,
+  upazila,
+});
+
+// Account internals left out of profiles that can be looked up without
+// logging in
+const PRIVATE_USER_FIELDS = {
+  password: 0,
+  location: 0,
+  tokenVersion: 0,
+  permissions: 0,
+  twoFactorEnabled: 0,
+  quietHours: 0,
+  withdrawalCount: 0,
+  lastWithdrawalAt: 0,
+  invitedBy: 0,
+  invitationId: 0,
+};
+
+// Quiet hours are evaluated in the donor's time zone (default below)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Dhaka";
+
+// Brute-force protection: account lockout grows with consecutive failures
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = 5;
+const LOGIN_LOCKOUT_MAX_MINUTES = 60;
+const IP_FAILURE_WINDOW_MINUTES = 15;
+const IP_FAILURE_LIMIT = 20;
+// Login attempts are kept this long for lockouts and sign-in history
+const LOGIN_ATTEMPT_RETENTION_DAYS = 90;
+
+// Minutes an account stays locked after `failures` consecutive failed logins
+const lockoutMinutesFor = (failures) =>
+  failures < LOGIN_LOCKOUT_THRESHOLD
+    ? 0
+    : Math.min(
+        LOGIN_LOCKOUT_BASE_MINUTES *
+          2 ** (Math.floor(failures / LOGIN_LOCKOUT_THRESHOLD) - 1),
+        LOGIN_LOCKOUT_MAX_MINUTES
+      );
+
+// Per-IP request cap on the credential endpoints
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { message: "Too many attempts. Please try again later." },
+});
+
+// Refreshing is routine for signed-in clients, so it has its own budget
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { message: "Too many attempts. Please try again later." },
+});
+
+// Field-level changes between two snapshots, e.g. { role: { from, to } }
+const diffFields = (before = {}, after = {}) => {
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return changes;
+};
+
+// ============ BLOOD COMPATIBILITY ============
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const BLOOD_COMPONENTS = ["red_cells", "plasma", "platelets"];
+
+// Red cells: recipient → donor groups whose red cells they can receive
+const RED_CELL_DONORS = {
+  "O-": ["O-"],
+  "O+": ["O+", "O-"],
+  "A-": ["A-", "O-"],
+  "A+": ["A+", "A-", "O+", "O-"],
+  "B-": ["B-", "O-"],
+  "B+": ["B+", "B-", "O+", "O-"],
+  "AB-": ["AB-", "A-", "B-", "O-"],
+  "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+};
+
+// Plasma: the ABO rule is reversed (AB plasma is universal), Rh is ignored
+const PLASMA_DONORS = {
+  O: ["O", "A", "B", "AB"],
+  A: ["A", "AB"],
+  B: ["B", "AB"],
+  AB: ["AB"],
+};
+
+const aboOf = (group) => group.slice(0, -1);
+const isRhNegative = (group) => group.endsWith("-");
+
+const COMPATIBILITY_TABLES = {
+  red_cells: RED_CELL_DONORS,
+  plasma: Object.fromEntries(
+    BLOOD_GROUPS.map((recipient) => [
+      recipient,
+      BLOOD_GROUPS.filter((donor) =>
+        PLASMA_DONORS[aboOf(recipient)].includes(aboOf(donor))
+      ),
+    ])
+  ),
+  // Platelets follow the plasma ABO rule, but Rh- recipients need Rh- units
+  platelets: Object.fromEntries(
+    BLOOD_GROUPS.map((recipient) => [
+      recipient,
+      BLOOD_GROUPS.filter(
+        (donor) =>
+          PLASMA_DONORS[aboOf(recipient)].includes(aboOf(donor)) &&
+          (!isRhNegative(recipient) || isRhNegative(donor))
+      ),
+    ])
+  ),
+};
+
+// Donor groups that can give a component to a recipient, exact match first
+const compatibleDonorGroups = (recipientGroup, component = "red_cells") => {
+  const donors = COMPATIBILITY_TABLES[component]?.[recipientGroup] || [
+    recipientGroup,
+  ];
+  return [recipientGroup, ...donors.filter((g) => g !== recipientGroup)];
+};
+
+// Aggregation stages for donors who can give to a recipient; adds an
+// exactMatch flag so identical groups can be ranked first
+const compatibleDonorStages = (recipientGroup, component, extra = {}) => [
+  {
+    $match: donorMatchQuery({
+      bloodGroup: { $in: compatibleDonorGroups(recipientGroup, component) },
+      ...extra,
+    }),
+  },
+  { $addFields: { exactMatch: { $eq: ["$bloodGroup", recipientGroup] } } },
+];
+
+// ============ BLOOD REQUEST SCHEMA ============
+// Fields a client may set on a blood request. Everything else (requester,
+// status, donor, emergency flags, timestamps) is controlled by the server.
+const REQUEST_SCHEMA = {
+  recipientName: { type: "string", required: true, maxLength: 100 },
+  hospital: { type: "string", required: true, maxLength: 200 },
+  blood_group: { type: "enum", required: true, values: BLOOD_GROUPS },
+  component: { type: "enum", values: BLOOD_COMPONENTS, default: "red_cells" },
+  unitsNeeded: { type: "integer", min: 1, max: 20, default: 1 },
+  donation_date: { type: "date", required: true },
+  donation_time: { type: "time" },
+  district: { type: "string", required: true, maxLength: 100 },
+  upazila: { type: "string", maxLength: 100 },
+  address: { type: "string", maxLength: 300 },
+  request_message: { type: "string", maxLength: 1000 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+};
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i;
+
+// Check one value against its schema rule; returns [value, errorMessage]
+const checkField = (rule, raw) => {
+  switch (rule.type) {
+    case "string": {
+      if (typeof raw !== "string") return [null, "must be a string"];
+      const value = raw.trim();
+      if (rule.required && !value) return [null, "is required"];
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return [null, `must be at most ${rule.maxLength} characters`];
+      }
+      return [value, null];
+    }
+    case "number": {
+      const value = Number(raw);
+      if (typeof raw === "boolean" || !Number.isFinite(value)) {
+        return [null, "must be a number"];
+      }
+      if (value < rule.min || value > rule.max) {
+        return [null, `must be between ${rule.min} and ${rule.max}`];
+      }
+      return [value, null];
+    }
+    case "enum":
+      return rule.values.includes(raw)
+        ? [raw, null]
+        : [null, `must be one of ${rule.values.join(", ")}`];
+    case "integer": {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) return [null, "must be a whole number"];
+      if (value < rule.min || value > rule.max) {
+        return [null, `must be between ${rule.min} and ${rule.max}`];
+      }
+      return [value, null];
+    }
+    case "date": {
+      if (typeof raw !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+        return [null, "must be a date in YYYY-MM-DD format"];
+      }
+      if (Number.isNaN(new Date(`${raw}T00:00:00`).getTime())) {
+        return [null, "is not a valid date"];
+      }
+      return [raw, null];
+    }
+    case "time": {
+      const match = typeof raw === "string" && raw.trim().match(TIME_PATTERN);
+      if (!match) return [null, "must be a time like 14:30 or 2:30 PM"];
+      const hours = Number(match[1]);
+      if (Number(match[2]) > 59 || hours > (match[3] ? 12 : 23)) {
+        return [null, "is not a valid time"];
+      }
+      return [raw.trim(), null];
+    }
+    default:
+      return [null, "has an unknown type"];
+  }
+};
+
+// Validate a body against a schema. Unknown fields are dropped; with
+// `partial` only the fields present are checked (for updates).
+const validateSchema = (schema, body = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+    const missing = raw === undefined || raw === null || raw === "";
+
+    if (missing) {
+      if (partial) continue;
+      if (rule.required) errors[field] = "is required";
+      else if (rule.default !== undefined) value[field] = rule.default;
+      continue;
+    }
+
+    const [checked, error] = checkField(rule, raw);
+    if (error) errors[field] = error;
+    else value[field] = checked;
+  }
+
+  return { value, errors: Object.keys(errors).length ? errors : null };
+};
+
+// Combine donation_date and optional donation_time into a Date
+const computeNeededBy = (date, time) => {
+  const neededBy = new Date(`${date}T00:00:00`);
+  const minutes = time ? minutesOfDay(time) : null;
+  if (minutes !== null) {
+    neededBy.setHours(Math.floor(minutes / 60), minutes % 60);
+  } else {
+    neededBy.setHours(23, 59, 59);
+  }
+  return neededBy;
+};
+
+// Minutes since midnight for "14:30" or "2:30 PM" (null if unparseable)
+const minutesOfDay = (time) => {
+  const match = time.match(TIME_PATTERN);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem) hours = (hours % 12) + (meridiem === "PM" ? 12 : 0);
+  return hours * 60 + Number(match[2]);
+};
+
+// ============ DONOR AVAILABILITY ============
+const AVAILABILITY_SCHEMA = {
+  status: {
+    type: "enum",
+    required: true,
+    values: ["available", "unavailable", "not_available"],
+  },
+  until: { type: "date" },
+};
+
+const QUIET_HOURS_SCHEMA = {
+  start: { type: "time", required: true },
+  end: { type: "time", required: true },
+  timezone: { type: "string", maxLength: 64 },
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether it is currently within the donor's quiet hours. Windows may
+// wrap past midnight (e.g. 22:00–07:00).
+const isInQuietHours = (user, now = new Date()) => {
+  const quiet = user.quietHours;
+  if (!quiet?.start || !quiet?.end) return false;
+
+  const [hours, minutes] = new Intl.DateTimeFormat("en-GB", {
+    timeZone: quiet.timezone || DEFAULT_TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  })
+    .format(now)
+    .split(":")
+    .map(Number);
+  const current = hours * 60 + minutes;
+  const start = minutesOfDay(quiet.start);
+  const end = minutesOfDay(quiet.end);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Validate a create/update payload for a blood request
+const validateBloodRequest = (body, options) => {
+  const { value, errors } = validateSchema(REQUEST_SCHEMA, body, options);
+  const fieldErrors = errors || {};
+
+  if (value.donation_date && !fieldErrors.donation_date) {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    if (new Date(`${value.donation_date}T00:00:00`) < startOfToday) {
+      fieldErrors.donation_date = "cannot be in the past";
+    }
+  }
+
+  // Coordinates are stored as a GeoJSON location and must come as a pair
+  const { latitude, longitude, ...fields } = value;
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    fieldErrors[latitude === undefined ? "latitude" : "longitude"] =
+      "is required when the other coordinate is given";
+  } else if (latitude !== undefined) {
+    fields.location = toGeoPoint(latitude, longitude);
+  }
+
+  return {
+    value: fields,
+    errors: Object.keys(fieldErrors).length ? fieldErrors : null,
+  };
+};
+
+// ============ DUPLICATE REQUESTS ============
+// Open requests for the same patient, hospital and blood group posted
+// within this window are treated as one request
+const DUPLICATE_WINDOW_HOURS =
+  parseInt(process.env.DUPLICATE_WINDOW_HOURS) || 72;
+const REPORT_REASONS = ["fake", "duplicate", "spam", "inappropriate", "other"];
+
+const normalizeText = (value = "") =>
+  value.trim().toLowerCase().replace(/\s+/g, " ");
+
+const requestDuplicateKey = ({ recipientName, hospital, blood_group }) =>
+  [normalizeText(recipientName), normalizeText(hospital), blood_group].join(
+    "|"
+  );
+
+// ============ REQUEST SEARCH ============
+const REQUEST_PRIORITIES = ["normal", "high", "critical"];
+
+// Sort options for /donation-request. Keys that are not stored on the
+// request come from REQUEST_SORT_FIELDS (or $geoNear for distanceMeters)
+// and are stripped from the results.
+const REQUEST_SORTS = {
+  newest: { createdAt: -1 },
+  verified: { verified: -1, createdAt: -1 },
+  urgency: {
+    isEmergency: -1,
+    priorityRank: -1,
+    noNeededBy: 1,
+    neededBy: 1,
+    createdAt: -1,
+  },
+  neededBy: { noNeededBy: 1, neededBy: 1, createdAt: -1 },
+  relevance: { score: -1, createdAt: -1 },
+  distance: { distanceMeters: 1 },
+};
+
+// Older requests without a neededBy go last
+const noNeededBy = { $in: [{ $type: "$neededBy" }, ["missing", "null"]] };
+
+const REQUEST_SORT_FIELDS = {
+  urgency: {
+    priorityRank: { $indexOfArray: [REQUEST_PRIORITIES, "$priority"] },
+    noNeededBy,
+  },
+  neededBy: { noNeededBy },
+  relevance: { score: { $meta: "textScore" } },
+};
+
+// Parse a from/to pair of dates (YYYY-MM-DD or ISO timestamps) into a
+// range filter. A date-only `to` includes that whole day. `name` prefixes
+// the parameter names in errors ("neededBy" -> "neededByFrom"; "" -> "from").
+// Returns { range }, { error } or null when neither is given.
+const parseDateRange = (from, to, name) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  for (const [key, raw, op] of [
+    ["From", from, "$gte"],
+    ["To", to, "$lt"],
+  ]) {
+    if (!raw) continue;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+    const date = new Date(dateOnly ? `${raw}T00:00:00` : raw);
+    if (Number.isNaN(date.getTime())) {
+      return {
+        error: `${name ? name + key : key.toLowerCase()} must be a date`,
+      };
+    }
+    if (op === "$lt" && dateOnly) date.setDate(date.getDate() + 1);
+    range[op === "$lt" && !dateOnly ? "$lte" : op] = date;
+  }
+
+  const end = range.$lt || range.$lte;
+  if (range.$gte && end && range.$gte >= end) {
+    return {
+      error: name
+        ? `${name}From must be before ${name}To`
+        : "from must be before to",
+    };
+  }
+  return { range };
+};
+
+// ============ CURSOR PAGINATION ============
+// List endpoints accept opaque `after`/`before` cursors next to the old
+// page numbers. A cursor holds the sort key values and _id of the item at
+// the edge of a page, so items added meanwhile never shift later pages.
+const MAX_PAGE_SIZE = 100;
+
+// Sort spec with _id appended as the final tie-breaker
+const withIdTiebreak = (sort) => {
+  const directions = Object.values(sort);
+  return { ...sort, _id: sort._id ?? directions[directions.length - 1] ?? -1 };
+};
+
+const isCursorValue = (value) =>
+  value === null ||
+  value instanceof Date ||
+  value instanceof ObjectId ||
+  ["string", "number", "boolean"].includes(typeof value);
+
+const encodeCursor = (sort, doc) =>
+  Buffer.from(
+    BSON.EJSON.stringify(Object.keys(sort).map((key) => doc[key] ?? null))
+  ).toString("base64url");
+
+// Sort key values from a cursor, or null if it is malformed or was made
+// for a different sort
+const decodeCursor = (sort, token) => {
+  try {
+    const values = BSON.EJSON.parse(
+      Buffer.from(String(token), "base64url").toString("utf8")
+    );
+    return Array.isArray(values) &&
+      values.length === Object.keys(sort).length &&
+      values.every(isCursorValue)
+      ? values
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+// Filter for the items that come after (or, going backwards, before) the
+// cursor position. Null and missing values sort lowest, as in MongoDB.
+const cursorFilter = (sort, values, forward) => {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, i) => {
+    const value = values[i];
+    const up = (sort[key] === 1) === forward;
+    let beyond;
+    if (up) {
+      beyond = { [key]: value === null ? { $ne: null } : { $gt: value } };
+    } else if (value !== null) {
+      beyond = { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+    }
+    if (beyond) {
+      const equal = keys.slice(0, i).map((k, j) => ({ [k]: values[j] }));
+      branches.push(equal.length ? { $and: [...equal, beyond] } : beyond);
+    }
+  });
+
+  return branches.length ? { $or: branches } : { _id: null };
+};
+
+// Read page/cursor parameters. `sizeParam` is the name the endpoint has
+// always used for its page size. Totals are counted for page-number
+// requests unless includeTotal=false, and for cursor requests only with
+// includeTotal=true. Returns the options or { error }.
+const parsePagination = (
+  query,
+  { sizeParam = "size", defaultSize = 10, firstPage = 1 } = {}
+) => {
+  const { after, before, includeTotal } = query;
+  if (after && before) {
+    return { error: "Use either after or before, not both" };
+  }
+
+  // Clamped to 1..MAX_PAGE_SIZE; a negative page is treated as the first
+  const size = Math.min(
+    Math.max(parseInt(query[sizeParam]) || defaultSize, 1),
+    MAX_PAGE_SIZE
+  );
+  const cursor = after || before || null;
+  const page = cursor
+    ? null
+    : Math.max(parseInt(query.page) || firstPage, firstPage) - firstPage;
+
+  return {
+    size,
+    cursor,
+    forward: !before,
+    skip: cursor ? 0 : page * size,
+    includeTotal: cursor ? includeTotal === "true" : includeTotal !== "false",
+  };
+};
+
+// Page number and size for listings that do not take cursors, clamped the
+// same way
+const parsePageNumber = (query, { sizeParam = "size", defaultSize } = {}) => {
+  const { size, skip } = parsePagination(
+    { page: query.page, [sizeParam]: query[sizeParam] },
+    { sizeParam, defaultSize }
+  );
+  return { page: skip / size + 1, size, skip };
+};
+
+// Run one page of a listing. `stages` produce the candidate documents
+// (typically a $match); `computed` names fields added only for sorting,
+// which are removed after the cursors are built. Returns the items plus
+// { nextCursor, prevCursor } (null at either end), or { error } for a bad
+// cursor.
+const fetchPage = async (
+  collection,
+  { stages, sort, projection, computed = [] },
+  paging
+) => {
+  const fullSort = withIdTiebreak(sort);
+  let position = [];
+  if (paging.cursor) {
+    const values = decodeCursor(fullSort, paging.cursor);
+    if (!values) return { error: "Invalid or outdated cursor" };
+    position = [{ $match: cursorFilter(fullSort, values, paging.forward) }];
+  }
+
+  const order = paging.forward
+    ? fullSort
+    : Object.fromEntries(
+        Object.entries(fullSort).map(([key, dir]) => [key, -dir])
+      );
+
+  const docs = await collection
+    .aggregate([
+      ...stages,
+      ...position,
+      { $sort: order },
+      ...(paging.skip ? [{ $skip: paging.skip }] : []),
+      { $limit: paging.size + 1 },
+      ...(projection ? [{ $project: projection }] : []),
+    ])
+    .toArray();
+
+  const hasMore = docs.length > paging.size;
+  const items = docs.slice(0, paging.size);
+  if (!paging.forward) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasNext = paging.forward ? hasMore : Boolean(paging.cursor);
+  const hasPrev = paging.forward
+    ? Boolean(paging.cursor) || paging.skip > 0
+    : hasMore;
+
+  const cursors = {
+    nextCursor: hasNext && last ? encodeCursor(fullSort, last) : null,
+    prevCursor: hasPrev && first ? encodeCursor(fullSort, first) : null,
+  };
+  items.forEach((item) => computed.forEach((field) => delete item[field]));
+
+  return { items, cursors };
+};
+
+// The `pagination` object used by /users, /notifications and /messages
+const paginationInfo = (paging, total, cursors) => ({
+  ...(!paging.cursor && { page: paging.skip / paging.size + 1 }),
+  limit: paging.size,
+  ...(total !== null && { total, pages: Math.ceil(total / paging.size) }),
+  ...cursors,
+});
+
+// ============ GEOLOCATION ============
+// Documents may carry a GeoJSON `location` ({ type: "Point",
+// coordinates: [lng, lat] }) backed by a 2dsphere index
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6378.1;
+
+// A coordinate given as a number or a numeric string; booleans, blank
+// strings and other types (which Number() would coerce) give NaN
+const toCoordinate = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+};
+
+// GeoJSON point from latitude/longitude, or null if either is invalid
+const toGeoPoint = (latitude, longitude) => {
+  const lat = toCoordinate(latitude);
+  const lng = toCoordinate(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// Parse ?near=lat,lng&radiusKm= into { point, radiusKm }, { error } or null
+const parseNearQuery = ({ near, radiusKm }) => {
+  if (!near) return null;
+  const [lat, lng, extra] = String(near).split(",");
+  const point = extra === undefined ? toGeoPoint(lat, lng) : null;
+  if (!point) {
+    return { error: "near must be 'latitude,longitude'" };
+  }
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!(radius > 0) || radius > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+  return { point, radiusKm: radius };
+};
+
+// Filter for documents whose location lies within the search radius
+const withinRadiusQuery = ({ point, radiusKm }) => ({
+  location: {
+    $geoWithin: {
+      $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM],
+    },
+  },
+});
+
+// Distance in km (one decimal) from a search point to a document
+const distanceKmFrom = (point, doc) =>
+  doc.location?.coordinates
+    ? Math.round(
+        geolib.getDistance(point.coordinates, doc.location.coordinates) / 100
+      ) / 10
+    : null;
+
+// ============ DONOR RECOMMENDATION ============
+// Donors must wait this long between whole-blood donations
+const ELIGIBILITY_DAYS = 90;
+
+// Donor fields the recommender reads; nothing else is loaded
+const RECOMMENDATION_DONOR_FIELDS = {
+  name: 1,
+  email: 1,
+  photoURL: 1,
+  bloodGroup: 1,
+  district: 1,
+  upazila: 1,
+  location: 1,
+  quietHours: 1,
+  withdrawalCount: 1,
+};
+
+// Literal text for use inside a $regex
+const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Maximum points per factor; a perfect donor scores 100
+const RECOMMENDATION_WEIGHTS = {
+  compatibility: 30,
+  distance: 25,
+  eligibility: 20,
+  responseRate: 15,
+  activity: 10,
+};
+
+// Donors beyond this distance get no distance points
+const RECOMMENDATION_RADIUS_KM = 50;
+
+// Points taken off per withdrawal from a pledge, up to the maximum
+const WITHDRAWAL_PENALTY = 5;
+const MAX_WITHDRAWAL_PENALTY = 20;
+
+// Notification types that ask a donor to help with a specific request
+const DONOR_ALERT_TYPES = ["urgent_request", "emergency_request"];
+
+const roundScore = (value) => Math.round(value * 10) / 10;
+
+// Score a compatible donor for a request. `stats` holds the donor's
+// lastDonationAt, notified/responded request counts and lastSeenAt.
+const scoreDonor = (request, donor, stats = {}) => {
+  const W = RECOMMENDATION_WEIGHTS;
+  const now = Date.now();
+
+  const exactMatch = donor.bloodGroup === request.blood_group;
+  const distanceKm =
+    request.location && donor.location
+      ? distanceKmFrom(request.location, donor)
+      : null;
+
+  // Without coordinates on both sides, fall back to the shared area
+  let locality = 0;
+  if (distanceKm !== null) {
+    locality = Math.max(0, 1 - distanceKm / RECOMMENDATION_RADIUS_KM);
+  } else if (
+    donor.district?.toLowerCase() === request.district?.toLowerCase()
+  ) {
+    locality = request.upazila && donor.upazila === request.upazila ? 0.8 : 0.6;
+  }
+
+  const nextEligibleAt = stats.lastDonationAt
+    ? new Date(stats.lastDonationAt.getTime() + ELIGIBILITY_DAYS * DAY_MS)
+    : null;
+  const eligible = !nextEligibleAt || nextEligibleAt.getTime() <= now;
+
+  // Donors never alerted before get the benefit of the doubt
+  const responseRate = stats.notified
+    ? Math.min(stats.responded / stats.notified, 1)
+    : 0.5;
+
+  const daysSinceSeen = stats.lastSeenAt
+    ? (now - stats.lastSeenAt.getTime()) / DAY_MS
+    : Infinity;
+  const activity =
+    daysSinceSeen <= 7
+      ? 1
+      : daysSinceSeen <= 30
+      ? 0.6
+      : daysSinceSeen <= 90
+      ? 0.3
+      : 0;
+
+  const breakdown = {
+    compatibility: roundScore(W.compatibility * (exactMatch ? 1 : 0.6)),
+    distance: roundScore(W.distance * locality),
+    eligibility: eligible ? W.eligibility : 0,
+    responseRate: roundScore(W.responseRate * responseRate),
+    activity: roundScore(W.activity * activity),
+    withdrawals: -Math.min(
+      (donor.withdrawalCount || 0) * WITHDRAWAL_PENALTY,
+      MAX_WITHDRAWAL_PENALTY
+    ),
+  };
+
+  return {
+    score: roundScore(
+      Object.values(breakdown).reduce((sum, points) => sum + points, 0)
+    ),
+    breakdown,
+    matchType: exactMatch ? "exact" : "compatible",
+    distanceKm,
+    eligible,
+    nextEligibleAt: eligible ? null : nextEligibleAt,
+  };
+};
+
+const sendValidationError = (res, errors) =>
+  res.status(400).send({ error: "Validation failed", errors });
+
+// ============ REQUEST LIFECYCLE ============
+// Allowed transitions and who may perform each one. Actors: "requester",
+// "donor" (the assigned donor), "claimant" (any other user), "moderator"
+// (requests:moderate) and "system" (scheduled jobs).
+const REQUEST_TRANSITIONS = {
+  pending: {
+    matched: ["claimant"],
+    canceled: ["requester", "moderator"],
+    expired: ["system"],
+  },
+  matched: {
+    inprogress: ["donor", "requester", "moderator"],
+    pending: ["system"],
+    canceled: ["requester", "moderator"],
+    expired: ["system"],
+  },
+  inprogress: {
+    done: ["requester", "moderator"],
+    pending: ["system"],
+    canceled: ["requester", "moderator"],
+  },
+  done: {},
+  canceled: {},
+  expired: {},
+};
+
+const REQUEST_STATUSES = Object.keys(REQUEST_TRANSITIONS);
+const OPEN_REQUEST_STATUSES = ["pending", "matched", "inprogress"];
+
+// ============ PLEDGES ============
+// Each donor pledges one unit. A request is "matched" once it has a pledge
+// and keeps accepting pledges until unitsPledged reaches unitsNeeded.
+// Pledges are "pledged", then "donated", "canceled", "withdrawn" or
+// "expired" (hold lapsed without a check-in).
+const ACTIVE_PLEDGE_STATUSES = ["pledged", "donated"];
+
+// The caller's pledge that still counts towards the request, if any
+const activePledgeFor = (request, email) =>
+  (request.pledges || []).find(
+    (pledge) =>
+      pledge.donorEmail.toLowerCase() === email.toLowerCase() &&
+      ACTIVE_PLEDGE_STATUSES.includes(pledge.status)
+  );
+
+// Requests that are not closed and are still short of pledged units
+const openRequestQuery = (extra = {}) => ({
+  donation_status: { $in: OPEN_REQUEST_STATUSES },
+  hidden: { $ne: true },
+  $expr: {
+    $lt: [{ $ifNull: ["$unitsPledged", 0] }, { $ifNull: ["$unitsNeeded", 1] }],
+  },
+  ...extra,
+});
+
+// Fields public request listings leave out: uploaded documents, reports,
+// the donors who were alerted, pledging donors' emails and who changed
+// the status
+const PUBLIC_REQUEST_PROJECTION = {
+  documents: 0,
+  reports: 0,
+  notifiedDonors: 0,
+  "pledges.donorEmail": 0,
+  "statusHistory.by": 0,
+};
+
+// Partial fulfillment of a request, derived from its pledges
+const pledgeSummary = (request) => {
+  const pledges = request.pledges || [];
+  const unitsNeeded = request.unitsNeeded || 1;
+  const unitsPledged = pledges.filter((p) =>
+    ACTIVE_PLEDGE_STATUSES.includes(p.status)
+  ).length;
+  const unitsDonated = pledges.filter((p) => p.status === "donated").length;
+  return {
+    unitsNeeded,
+    unitsPledged,
+    unitsDonated,
+    unitsRemaining: Math.max(unitsNeeded - unitsPledged, 0),
+  };
+};
+
+// Requests a user has donated to: a donated pledge, or the donor of a
+// completed request from before pledges existed. `email` may also be a
+// condition such as { $in: emails }.
+const donatedByQuery = (email) => ({
+  $or: [
+    { pledges: { $elemMatch: { donorEmail: email, status: "donated" } } },
+    { donorEmail: email, donation_status: "done" },
+  ],
+});
+
+// Aggregation stages emitting one { donorEmail, donorName, donatedAt,
+// requestId, district } document per completed donation, from pledges and
+// older requests alike
+const DONATION_STAGES = [
+  {
+    $match: {
+      $or: [
+        { "pledges.status": "donated" },
+        { donation_status: "done", donorEmail: { $ne: null } },
+      ],
+    },
+  },
+  {
+    $project: {
+      district: 1,
+      donations: {
+        $concatArrays: [
+          {
+            $filter: {
+              input: { $ifNull: ["$pledges", []] },
+              cond: { $eq: ["$$this.status", "donated"] },
+            },
+          },
+          {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$donation_status", "done"] },
+                  { $gt: ["$donorEmail", null] },
+                ],
+              },
+              [
+                {
+                  donorEmail: "$donorEmail",
+                  donorName: "$donorName",
+                  donatedAt: "$updatedAt",
+                },
+              ],
+              [],
+            ],
+          },
+        ],
+      },
+    },
+  },
+  { $unwind: "$donations" },
+  {
+    $replaceWith: {
+      $mergeObjects: [
+        "$donations",
+        { requestId: "$_id", district: "$district" },
+      ],
+    },
+  },
+];
+
+// Actor roles a user holds on a request; anyone other than the requester
+// who has not already pledged may pledge to an open request
+const requestActorsFor = (request, user) => {
+  const email = user.email.toLowerCase();
+  const actors = [];
+  if (request.requesterEmail?.toLowerCase() === email) {
+    actors.push("requester");
+  } else if (
+    activePledgeFor(request, email) ||
+    request.donorEmail?.toLowerCase() === email
+  ) {
+    actors.push("donor");
+  } else {
+    actors.push("claimant");
+  }
+  if (hasPermission(user, "requests:moderate")) actors.push("moderator");
+  return actors;
+};
+
+// The actor role used for a transition, or null if it is not allowed
+const transitionActor = (request, to, actors) => {
+  const allowed = REQUEST_TRANSITIONS[request.donation_status]?.[to];
+  if (!allowed) return null;
+  return actors.find((actor) => allowed.includes(actor)) || null;
+};
+
+// History entry appended to statusHistory on every transition
+const statusEntry = (from, to, by, actor, note) => ({
+  from,
+  to,
+  by,
+  actor,
+  note:
+    typeof note === "string" && note.trim() ? note.trim().slice(0, 500) : null,
+  at: new Date(),
+});
+
+// ============ REQUEST UPDATES ============
+// Timeline entries on a request: updates from the requester, questions
+// from other users and notes from moderators. Each entry's visibility is
+// "public", "donors" (people who pledged to or were alerted about the
+// request, plus the requester) or "moderators" (notes only).
+const UPDATE_KINDS = ["update", "question", "note"];
+const UPDATE_VISIBILITIES = ["public", "donors", "moderators"];
+const DEFAULT_UPDATE_VISIBILITY = {
+  update: "public",
+  question: "public",
+  note: "moderators",
+};
+const MAX_UPDATE_LENGTH = 2000;
+// Most recent updates merged into the timeline on the request detail
+const TIMELINE_UPDATES_LIMIT = 50;
+
+// Visibility levels a user can read on a request
+const updateLevelsFor = (request, user) => {
+  if (hasPermission(user, "requests:moderate")) return UPDATE_VISIBILITIES;
+  const email = user.email.toLowerCase();
+  const involved =
+    request.requesterEmail?.toLowerCase() === email ||
+    request.donorEmail?.toLowerCase() === email ||
+    (request.pledges || []).some((p) => p.donorEmail === email) ||
+    (request.notifiedDonors || []).includes(email);
+  return involved ? ["public", "donors"] : ["public"];
+};
+
+// Entries on a request that a user may read (their own always included)
+const visibleUpdatesQuery = (request, user) => ({
+  requestId: request._id,
+  $or: [
+    { visibility: { $in: updateLevelsFor(request, user) } },
+    { authorEmail: user.email.toLowerCase() },
+  ],
+});
+
+// Public shape of an entry; author emails stay with moderators
+const formatUpdate = (entry, user) => {
+  const { authorEmail, ...rest } = entry;
+  return {
+    ...rest,
+    mine: authorEmail === user.email.toLowerCase(),
+    ...(hasPermission(user, "requests:moderate") && { authorEmail }),
+  };
+};
+
+// Roles that must have two-factor auth enabled. Admins change them at
+// runtime, so every instance re-reads them from the settings collection
+// once the short cache expires.
+const SECURITY_SETTINGS_TTL_MS = 30 * 1000;
+let securitySettingsCache = null;
+
+const getSecuritySettings = async () => {
+  if (
+    securitySettingsCache &&
+    Date.now() - securitySettingsCache.loadedAt < SECURITY_SETTINGS_TTL_MS
+  ) {
+    return securitySettingsCache.settings;
+  }
+
+  const stored = await client
+    .db(process.env.DB_NAME || "bloodBridgeDB")
+    .collection("settings")
+    .findOne({ _id: "security" });
+  const settings = {
+    requireTwoFactorRoles: stored?.requireTwoFactorRoles || [],
+  };
+  securitySettingsCache = { settings, loadedAt: Date.now() };
+  return settings;
+};
+
+// ============ PERMISSIONS ============
+// Every named permission a role (or an individual user) can be granted
+const PERMISSIONS = {
+  "users:read": "View users and user statistics",
+  "users:manage": "Change roles, block users and force logouts",
+  "contacts:read": "Read contact form messages",
+  "events:create": "Create donation events",
+  "events:manage": "View attendees, list and cancel events",
+  "testimonials:moderate": "Approve or reject testimonials",
+  "requests:moderate": "Moderate any blood request",
+  "emergency:broadcast": "Send emergency broadcasts",
+  "stats:read": "View admin statistics and dashboards",
+  "payments:read": "View payment records",
+  "security:manage": "Manage security settings and view login activity",
+  "permissions:manage": "Grant permissions to roles and users",
+  "audit:read": "Browse the audit log",
+};
+
+// Only admins may hold these; they cannot be granted to other roles or users
+const ADMIN_ONLY_PERMISSIONS = ["security:manage", "permissions:manage"];
+
+// Defaults until an admin saves a mapping; admins always hold everything
+const DEFAULT_ROLE_PERMISSIONS = {
+  donor: [],
+  volunteer: ["stats:read", "requests:moderate"],
+};
+
+// Copy of the role → permissions mapping stored in settings. Permission
+// checks are synchronous, so verifyToken refreshes it once it is older
+// than the TTL; changes made on another instance arrive within that time.
+const ROLE_PERMISSIONS_TTL_MS = 30 * 1000;
+let rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+let rolePermissionsLoadedAt = 0;
+
+const refreshRolePermissions = async () => {
+  if (Date.now() - rolePermissionsLoadedAt < ROLE_PERMISSIONS_TTL_MS) return;
+
+  const stored = await client
+    .db(process.env.DB_NAME || "bloodBridgeDB")
+    .collection("settings")
+    .findOne({ _id: "permissions" });
+  rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS, ...stored?.roles };
+  rolePermissionsLoadedAt = Date.now();
+};
+
+// Permissions held by a user through their role plus individual grants
+const getEffectivePermissions = (user) => {
+  if (!user) return [];
+  if (user.role === "admin") return Object.keys(PERMISSIONS);
+  return [
+    ...new Set([
+      ...(rolePermissions[user.role] || []),
+      ...(user.permissions || []),
+    ]),
+  ].filter((permission) => !ADMIN_ONLY_PERMISSIONS.includes(permission));
+};
+
+// Entries that cannot be granted to a role or user (null if not a list)
+const ungrantablePermissions = (permissions) =>
+  Array.isArray(permissions)
+    ? permissions.filter(
+        (p) => !PERMISSIONS[p] || ADMIN_ONLY_PERMISSIONS.includes(p)
+      )
+    : null;
+
+const hasPermission = (user, permission) =>
+  getEffectivePermissions(user).includes(permission);
+
+// Routes a user who still has to enroll in 2FA can reach
+const TWO_FACTOR_SETUP_PATHS = ["/auth/2fa/", "/auth/me", "/auth/logout"];
+
+// Opaque tokens (refresh, reset, ...) are only ever stored as SHA-256 hashes
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// How often a session's lastSeenAt is refreshed by authenticated requests
+const SESSION_TOUCH_MS = 60 * 1000;
+
+// Sign an access token; tokenVersion lets us revoke every outstanding token
+// and sid ties the token to a single login session
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.tokenVersion || 0,
+      sid: sessionId,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+// ============ TOTP (RFC 6238) ============
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// TOTP secrets are stored encrypted (AES-256-GCM). Without a dedicated
+// TWO_FACTOR_ENCRYPTION_KEY the key is derived from JWT_SECRET, which then
+// cannot be rotated without re-enrolling 2FA users.
+const TWO_FACTOR_KEY = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `2fa:${JWT_SECRET}`)
+  .digest();
+const ENCRYPTED_SECRET_PREFIX = "v1:";
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return (
+    ENCRYPTED_SECRET_PREFIX +
+    [iv, cipher.getAuthTag(), encrypted]
+      .map((part) => part.toString("base64url"))
+      .join(".")
+  );
+};
+
+// Secrets saved before encryption was added are returned as they are
+const decryptSecret = (stored) => {
+  if (!stored.startsWith(ENCRYPTED_SECRET_PREFIX)) return stored;
+  const [iv, tag, encrypted] = stored
+    .slice(ENCRYPTED_SECRET_PREFIX.length)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TWO_FACTOR_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return code.toString().padStart(TOTP_DIGITS, "0");
+};
+
+// Returns the matching time step (±1 step for clock drift) or null
+const verifyTotp = (secret, code) => {
+  if (!/^\d{6}$/.test(String(code || ""))) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    const expected = generateTotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
 // JWT Verification Middleware
 const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization;
@@ -43,14 +1324,88 @@ const verifyToken = async (req, res, next) => {
     return res.status(401).send({ message: "Access token required" });
   }
 
+  let decoded;
   try {
     const tokenValue = token.startsWith("Bearer ") ? token.slice(7) : token;
-    const decoded = jwt.verify(tokenValue, JWT_SECRET);
+    decoded = jwt.verify(tokenValue, JWT_SECRET);
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) throw new Error("Not an access token");
+  } catch (error) {
+    return res.status(401).send({ message: "Invalid or expired token" });
+  }
+
+  try {
+    // Signature alone is not enough: blocked users and revoked tokens fail here
+    const authDb = client.db(process.env.DB_NAME || "bloodBridgeDB");
+    const account = await authDb.collection("user").findOne(
+      { email: decoded.email },
+      {
+        projection: {
+          status: 1,
+          tokenVersion: 1,
+          role: 1,
+          twoFactorEnabled: 1,
+        },
+      }
+    );
+
+    if (!account) {
+      return res.status(401).send({ message: "Invalid or expired token" });
+    }
+
+    if (account.status !== "active") {
+      return res
+        .status(403)
+        .send({ message: "Account is blocked. Contact administrator." });
+    }
+
+    if ((account.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+      return res.status(401).send({ message: "Token has been revoked" });
+    }
+
+    // Tokens bound to a session die with it (logout, revoke from another device)
+    if (decoded.sid) {
+      const sessions = authDb.collection("refresh_tokens");
+      const session = await sessions.findOne(
+        { _id: new ObjectId(decoded.sid), revokedAt: null },
+        { projection: { lastSeenAt: 1 } }
+      );
+      if (!session) {
+        return res.status(401).send({ message: "Session has been revoked" });
+      }
+      if (
+        !session.lastSeenAt ||
+        Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_MS
+      ) {
+        await sessions.updateOne(
+          { _id: session._id },
+          { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } }
+        );
+      }
+    }
+
+    if (
+      !account.twoFactorEnabled &&
+      (await getSecuritySettings()).requireTwoFactorRoles.includes(
+        account.role
+      ) &&
+      !TWO_FACTOR_SETUP_PATHS.some((path) => req.path.startsWith(path))
+    ) {
+      return res.status(403).send({
+        message: "Two-factor authentication must be enabled for your role",
+        twoFactorSetupRequired: true,
+      });
+    }
+
+    // Permission checks later in the request read the cached role mapping
+    await refreshRolePermissions();
+
     req.user = decoded;
     req.decodedEmail = decoded.email;
     next();
   } catch (error) {
-    return res.status(401).send({ message: "Invalid or expired token" });
+    console.error("Token verification error:", error);
+    return res.status(500).send({ message: "Failed to verify token" });
   }
 };
 
@@ -92,6 +1447,62 @@ async function run() {
     const conversationCollection = database.collection("conversations");
     const eventsCollection = database.collection("events");
     const achievementsCollection = database.collection("achievements");
+    const refreshTokenCollection = database.collection("refresh_tokens");
+    const passwordResetCollection = database.collection("password_resets");
+    const mailOutboxCollection = database.collection("mail_outbox");
+    const emailVerificationCollection = database.collection(
+      "email_verifications"
+    );
+    const twoFactorCollection = database.collection("two_factor");
+    const settingsCollection = database.collection("settings");
+    const loginAttemptCollection = database.collection("login_attempts");
+    const invitationCollection = database.collection("invitations");
+    const auditLogCollection = database.collection("audit_log");
+    const requestUpdateCollection = database.collection("request_updates");
+
+    // 2dsphere indexes for ?near= searches; documents without a location
+    // are simply left out of the index
+    await Promise.all(
+      [
+        userCollection,
+        requestCollection,
+        eventsCollection,
+        centersCollection,
+      ].map((collection) => collection.createIndex({ location: "2dsphere" }))
+    ).catch((error) => console.error("Index creation error:", error));
+
+    // Full-text search on /donation-request?q=, hospital names weigh most
+    await requestCollection
+      .createIndex(
+        { hospital: "text", address: "text", request_message: "text" },
+        {
+          name: "request_text_search",
+          weights: { hospital: 5, address: 2, request_message: 1 },
+        }
+      )
+      .catch((error) => console.error("Index creation error:", error));
+
+    // Donation history and pledge lookups go by the donor's email
+    await Promise.all([
+      requestCollection.createIndex({ "pledges.donorEmail": 1 }),
+      requestCollection.createIndex({ donorEmail: 1 }),
+    ]).catch((error) => console.error("Index creation error:", error));
+
+    // Request timelines are read per request in time order
+    await requestUpdateCollection
+      .createIndex({ requestId: 1, createdAt: 1 })
+      .catch((error) => console.error("Index creation error:", error));
+
+    // Lockout checks look up recent attempts per account and per IP; old
+    // attempts expire on their own
+    await Promise.all([
+      loginAttemptCollection.createIndex({ email: 1, createdAt: -1 }),
+      loginAttemptCollection.createIndex({ ip: 1, createdAt: -1 }),
+      loginAttemptCollection.createIndex(
+        { createdAt: 1 },
+        { expireAfterSeconds: (LOGIN_ATTEMPT_RETENTION_DAYS * DAY_MS) / 1000 }
+      ),
+    ]).catch((error) => console.error("Index creation error:", error));
 
     // Middleware to check if demo admin (read-only)
     const checkDemoAdmin = async (req, res, next) => {
@@ -110,24 +1521,331 @@ async function run() {
       }
     };
 
-    // Check if admin exists (public endpoint)
-    app.get("/check-admin-exists", async (req, res) => {
-      try {
-        const existingAdmin = await userCollection.findOne({ role: "admin" });
-        res.send({ adminExists: !!existingAdmin });
-      } catch (error) {
-        console.error("Check admin error:", error);
-        res.status(500).send({ message: "Failed to check admin status" });
-      }
-    });
+    // Require every listed permission; use after verifyToken.
+    // The loaded user is exposed as req.currentUser for the handler.
+    const requirePermission =
+      (...required) =>
+      async (req, res, next) => {
+        try {
+          const user = await userCollection.findOne(
+            { email: req.decodedEmail },
+            { projection: { password: 0 } }
+          );
+          const granted = getEffectivePermissions(user);
+          const missing = required.filter((p) => !granted.includes(p));
 
-    // Create first admin user (only if no admin exists)
-    app.post("/create-first-admin", async (req, res) => {
-      try {
-        // Check if any admin already exists
-        const existingAdmin = await userCollection.findOne({ role: "admin" });
-        if (existingAdmin) {
-          return res.status(400).send({
+          if (!user || missing.length > 0) {
+            return res.status(403).send({
+              error: "You do not have permission to perform this action",
+              missingPermissions: missing,
+            });
+          }
+
+          req.currentUser = user;
+          req.permissions = granted;
+          next();
+        } catch (error) {
+          console.error("Permission check error:", error);
+          res.status(500).send({ error: "Failed to check permissions" });
+        }
+      };
+
+    // ============ AUDIT LOG ============
+    // Append-only record of administrative and state-changing actions.
+    // Failures are logged but never fail the action being audited.
+    const recordAudit = async (
+      req,
+      {
+        action,
+        targetType,
+        targetId = null,
+        before = {},
+        after = {},
+        metadata,
+        actor = req.currentUser || { email: req.decodedEmail },
+      }
+    ) => {
+      try {
+        await auditLogCollection.insertOne({
+          actor: {
+            email: actor.email || null,
+            role: actor.role || null,
+            userId: actor._id || null,
+          },
+          action,
+          target: { type: targetType, id: targetId },
+          changes: diffFields(before, after),
+          ...(metadata && { metadata }),
+          ip: req.ip,
+          userAgent: req.get("user-agent") || "",
+          createdAt: new Date(),
+        });
+      } catch (error) {
+        console.error("Audit log error:", error);
+      }
+    };
+
+    // ============ TOKEN HELPERS ============
+
+    // Start a login session (one per device) and issue its tokens.
+    // Each refresh_tokens document is a session: the refresh token rotates
+    // in place and access tokens carry the session id.
+    const issueAuthTokens = async (user, req) => {
+      const refreshToken = crypto.randomBytes(48).toString("hex");
+      const now = new Date();
+
+      const result = await refreshTokenCollection.insertOne({
+        userId: user._id,
+        email: user.email,
+        tokenHash: hashToken(refreshToken),
+        previousTokenHash: null,
+        ip: req.ip,
+        userAgent: req.get("user-agent") || "",
+        createdAt: now,
+        lastUsedAt: now,
+        lastSeenAt: now,
+        lastSeenIp: req.ip,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS),
+        revokedAt: null,
+      });
+
+      return {
+        token: signAccessToken(user, result.insertedId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      };
+    };
+
+    // Revoke every session and outstanding access token for a user
+    const revokeAllUserTokens = async (email, reason) => {
+      await userCollection.updateOne(
+        { email: email.toLowerCase() },
+        { $inc: { tokenVersion: 1 } }
+      );
+      const result = await refreshTokenCollection.updateMany(
+        { email: email.toLowerCase(), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+      return result.modifiedCount;
+    };
+
+    // ============ MAIL OUTBOX ============
+    // Transports receive the finished mail object; add new ones here
+    const mailTransports = {
+      collection: async (mail) => {
+        await mailOutboxCollection.insertOne(mail);
+      },
+      file: async (mail) => {
+        await fs.promises.appendFile(
+          MAIL_OUTBOX_FILE,
+          JSON.stringify(mail) + "\n"
+        );
+      },
+      console: async (mail) => {
+        console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+      },
+    };
+
+    // Queue an email; failures are logged so callers never leak them
+    const sendMail = async ({ to, subject, text, type = "generic" }) => {
+      const transport = mailTransports[MAIL_TRANSPORT];
+      if (!transport) {
+        console.error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+        return false;
+      }
+
+      try {
+        await transport({
+          to: to.toLowerCase(),
+          subject,
+          text,
+          type,
+          status: "queued",
+          createdAt: new Date(),
+        });
+        return true;
+      } catch (error) {
+        console.error("Send mail error:", error);
+        return false;
+      }
+    };
+
+    // Create a verification token for the user and email the link
+    const sendVerificationEmail = async (user) => {
+      // Only the newest verification link stays valid
+      await emailVerificationCollection.updateMany(
+        { email: user.email, usedAt: null },
+        { $set: { usedAt: new Date(), invalidated: true } }
+      );
+
+      const emailToken = crypto.randomBytes(32).toString("hex");
+      await emailVerificationCollection.insertOne({
+        userId: user._id,
+        email: user.email,
+        tokenHash: hashToken(emailToken),
+        expiresAt: new Date(Date.now() + VERIFY_TOKEN_HOURS * 60 * 60 * 1000),
+        usedAt: null,
+        createdAt: new Date(),
+      });
+
+      return sendMail({
+        to: user.email,
+        type: "email_verification",
+        subject: "Verify your BloodBridge email",
+        text: `Hi ${
+          user.name || "there"
+        },\n\nPlease confirm your email address so you can receive blood requests and event invites. The link expires in ${VERIFY_TOKEN_HOURS} hours.\n\n${SITE_DOMAIN}/verify-email?token=${emailToken}`,
+      });
+    };
+
+    // Generate one-time recovery codes; only their hashes are stored
+    const generateRecoveryCodes = () => {
+      const codes = Array.from({ length: 10 }, () => {
+        const raw = crypto.randomBytes(4).toString("hex");
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+      });
+      return { codes, hashes: codes.map((code) => hashToken(code)) };
+    };
+
+    // Check a TOTP code (or recovery code) against the user's 2FA record
+    const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+      const record = await twoFactorCollection.findOne({
+        userId,
+        enabled: true,
+      });
+      if (!record) return false;
+
+      if (recoveryCode) {
+        if (typeof recoveryCode !== "string") return false;
+
+        // Each recovery code can be pulled from the list exactly once
+        const result = await twoFactorCollection.updateOne(
+          { _id: record._id, recoveryCodes: hashToken(recoveryCode.trim()) },
+          { $pull: { recoveryCodes: hashToken(recoveryCode.trim()) } }
+        );
+        return result.modifiedCount === 1;
+      }
+
+      const secret = decryptSecret(record.secret);
+      const step = verifyTotp(secret, code);
+      if (step === null) return false;
+
+      // Reject replays of a code that was already accepted; secrets stored
+      // in plain text by older versions are encrypted on first use
+      const result = await twoFactorCollection.updateOne(
+        {
+          _id: record._id,
+          $or: [
+            { lastUsedStep: { $exists: false } },
+            { lastUsedStep: { $lt: step } },
+          ],
+        },
+        {
+          $set: {
+            lastUsedStep: step,
+            ...(secret === record.secret && {
+              secret: encryptSecret(secret),
+            }),
+          },
+        }
+      );
+      return result.modifiedCount === 1;
+    };
+
+    // ============ LOGIN ATTEMPT TRACKING ============
+
+    const recordLoginAttempt = async (req, email, success, reason = null) => {
+      await loginAttemptCollection.insertOne({
+        email: (email || "").toLowerCase(),
+        ip: req.ip,
+        userAgent: req.get("user-agent") || "",
+        success,
+        reason,
+        createdAt: new Date(),
+      });
+    };
+
+    // Returns the Date until which this email/IP may not log in, or null
+    const getLoginLockout = async (email, ip) => {
+      const now = Date.now();
+
+      // Account: consecutive failures from any IP since the last successful
+      // login, so rotating IPs does not buy more guesses
+      const lastSuccess = await loginAttemptCollection.findOne(
+        { email, success: true },
+        { sort: { createdAt: -1 }, projection: { createdAt: 1 } }
+      );
+      const since = new Date(
+        Math.max(lastSuccess?.createdAt?.getTime() || 0, now - DAY_MS)
+      );
+      const accountFailures = await loginAttemptCollection
+        .find({ email, success: false, createdAt: { $gt: since } })
+        .sort({ createdAt: -1 })
+        .project({ createdAt: 1 })
+        .toArray();
+
+      let lockedUntil = null;
+      const lockMinutes = lockoutMinutesFor(accountFailures.length);
+      if (lockMinutes > 0) {
+        const until =
+          accountFailures[0].createdAt.getTime() + lockMinutes * 60000;
+        if (until > now) lockedUntil = new Date(until);
+      }
+
+      // IP: too many failures across any accounts (credential stuffing)
+      const ipFailures = await loginAttemptCollection.countDocuments({
+        ip,
+        success: false,
+        createdAt: { $gt: new Date(now - IP_FAILURE_WINDOW_MINUTES * 60000) },
+      });
+      if (ipFailures >= IP_FAILURE_LIMIT) {
+        const ipUntil = new Date(now + IP_FAILURE_WINDOW_MINUTES * 60000);
+        if (!lockedUntil || ipUntil > lockedUntil) lockedUntil = ipUntil;
+      }
+
+      return lockedUntil;
+    };
+
+    const sendLockedOut = (res, lockedUntil) => {
+      const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).send({
+        message: "Too many failed login attempts. Please try again later.",
+        retryAfter,
+        lockedUntil,
+      });
+    };
+
+    // Check if admin exists (public endpoint)
+    app.get("/check-admin-exists", async (req, res) => {
+      try {
+        const existingAdmin = await userCollection.findOne({ role: "admin" });
+        res.send({ adminExists: !!existingAdmin });
+      } catch (error) {
+        console.error("Check admin error:", error);
+        res.status(500).send({ message: "Failed to check admin status" });
+      }
+    });
+
+    // Create first admin user (one-time bootstrap, requires ADMIN_BOOTSTRAP_TOKEN)
+    app.post("/create-first-admin", authLimiter, async (req, res) => {
+      try {
+        const { bootstrapToken } = req.body;
+
+        if (
+          !ADMIN_BOOTSTRAP_TOKEN ||
+          !bootstrapToken ||
+          hashToken(bootstrapToken) !== hashToken(ADMIN_BOOTSTRAP_TOKEN)
+        ) {
+          return res
+            .status(403)
+            .send({ message: "Invalid or missing bootstrap token" });
+        }
+
+        // Check if any admin already exists
+        const existingAdmin = await userCollection.findOne({ role: "admin" });
+        if (existingAdmin) {
+          return res.status(400).send({
             message:
               "Admin user already exists. Cannot create another first admin.",
           });
@@ -161,6 +1879,23 @@ async function run() {
         const saltRounds = 10;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+        // Claim the bootstrap slot; the fixed _id makes this succeed only once
+        try {
+          await settingsCollection.insertOne({
+            _id: "admin_bootstrap",
+            email: email.toLowerCase(),
+            ip: req.ip,
+            completedAt: new Date(),
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(400).send({
+              message: "First admin has already been created.",
+            });
+          }
+          throw error;
+        }
+
         // Create admin user
         const adminUser = {
           name,
@@ -172,10 +1907,30 @@ async function run() {
           photoURL: "",
           role: "admin",
           status: "active",
+          emailVerified: true,
           createdAt: new Date(),
         };
 
-        const result = await userCollection.insertOne(adminUser);
+        let result;
+        try {
+          result = await userCollection.insertOne(adminUser);
+        } catch (error) {
+          // Free the slot so the bootstrap can be retried
+          await settingsCollection.deleteOne({ _id: "admin_bootstrap" });
+          throw error;
+        }
+
+        await recordAudit(req, {
+          action: "admin.bootstrapped",
+          targetType: "user",
+          targetId: adminUser.email,
+          after: { role: "admin" },
+          actor: {
+            email: adminUser.email,
+            role: "admin",
+            _id: result.insertedId,
+          },
+        });
 
         res.status(201).send({
           success: true,
@@ -189,7 +1944,7 @@ async function run() {
     });
 
     // Register new user
-    app.post("/auth/register", async (req, res) => {
+    app.post("/auth/register", authLimiter, async (req, res) => {
       try {
         const {
           name,
@@ -199,8 +1954,33 @@ async function run() {
           district,
           upazila,
           photoURL,
+          inviteToken,
+          latitude,
+          longitude,
         } = req.body;
 
+        if (!name || !email || !password) {
+          return res
+            .status(400)
+            .send({ message: "Name, email, and password are required" });
+        }
+
+        const location =
+          latitude !== undefined || longitude !== undefined
+            ? toGeoPoint(latitude, longitude)
+            : undefined;
+        if (location === null) {
+          return res
+            .status(400)
+            .send({ message: "Invalid latitude/longitude" });
+        }
+
+        if (password.length < 6) {
+          return res.status(400).send({
+            message: "Password must be at least 6 characters long",
+          });
+        }
+
         // Check if user already exists
         const existingUser = await userCollection.findOne({
           email: email.toLowerCase(),
@@ -211,6 +1991,26 @@ async function run() {
             .send({ message: "User already exists with this email" });
         }
 
+        // An invitation (single use) decides the role; it is only consumed
+        // once the account exists, so a failed sign-up can retry it
+        const invitationQuery = inviteToken && {
+          tokenHash: hashToken(inviteToken),
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+          $or: [{ email: null }, { email: email.toLowerCase() }],
+        };
+        let invitation = null;
+        if (inviteToken) {
+          invitation = await invitationCollection.findOne(invitationQuery);
+
+          if (!invitation) {
+            return res
+              .status(400)
+              .send({ message: "Invalid or expired invitation" });
+          }
+        }
+
         // Hash password
         const saltRounds = 10;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -224,22 +2024,48 @@ async function run() {
           district: district || "",
           upazila: upazila || "",
           photoURL: photoURL || "",
-          role: "donor",
+          ...(location && { location }),
+          role: invitation?.role || "donor",
           status: "active",
+          // An invite sent to this address already proves ownership
+          emailVerified: !!invitation?.email,
+          ...(invitation && {
+            invitedBy: invitation.invitedBy,
+            invitationId: invitation._id,
+          }),
           createdAt: new Date(),
         };
 
         const result = await userCollection.insertOne(userInfo);
 
-        // Generate JWT token
-        const token = jwt.sign(
-          {
-            userId: result.insertedId,
-            email: userInfo.email,
-            role: userInfo.role,
-          },
-          JWT_SECRET,
-          { expiresIn: "7d" }
+        if (invitation) {
+          const redeemed = await invitationCollection.updateOne(
+            { ...invitationQuery, _id: invitation._id },
+            {
+              $set: {
+                usedAt: new Date(),
+                usedBy: email.toLowerCase(),
+              },
+            }
+          );
+
+          // Someone else redeemed it in the meantime
+          if (redeemed.modifiedCount === 0) {
+            await userCollection.deleteOne({ _id: result.insertedId });
+            return res
+              .status(400)
+              .send({ message: "Invalid or expired invitation" });
+          }
+        }
+
+        if (!userInfo.emailVerified) {
+          await sendVerificationEmail({ ...userInfo, _id: result.insertedId });
+        }
+
+        // Generate access + refresh tokens
+        const tokens = await issueAuthTokens(
+          { ...userInfo, _id: result.insertedId },
+          req
         );
 
         // Return user info without password
@@ -247,7 +2073,7 @@ async function run() {
 
         res.status(201).send({
           message: "User registered successfully",
-          token,
+          ...tokens,
           user: userWithoutPassword,
         });
       } catch (error) {
@@ -257,48 +2083,80 @@ async function run() {
     });
 
     // Login user
-    app.post("/auth/login", async (req, res) => {
+    app.post("/auth/login", authLimiter, async (req, res) => {
       try {
-        const { email, password } = req.body;
+        const { email, password } = req.body || {};
+
+        if (!email || !password) {
+          return res
+            .status(400)
+            .send({ message: "Email and password are required" });
+        }
+
+        if (typeof email !== "string" || typeof password !== "string") {
+          return res
+            .status(400)
+            .send({ message: "Email and password must be strings" });
+        }
+
+        // Locked accounts/IPs are refused before the password is checked
+        const lockedUntil = await getLoginLockout(email.toLowerCase(), req.ip);
+        if (lockedUntil) {
+          return sendLockedOut(res, lockedUntil);
+        }
 
         // Find user
         const user = await userCollection.findOne({
           email: email.toLowerCase(),
         });
         if (!user) {
+          await recordLoginAttempt(req, email, false, "unknown_user");
           return res.status(400).send({ message: "Invalid email or password" });
         }
 
         // Check password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
+          await recordLoginAttempt(req, email, false, "invalid_password");
           return res.status(400).send({ message: "Invalid email or password" });
         }
 
         // Check if user is active
         if (user.status !== "active") {
+          await recordLoginAttempt(req, email, false, "blocked");
           return res
             .status(403)
             .send({ message: "Account is blocked. Contact administrator." });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-          {
-            userId: user._id,
-            email: user.email,
-            role: user.role,
-          },
-          JWT_SECRET,
-          { expiresIn: "7d" }
-        );
+        // Second step required: hand back a short-lived challenge instead
+        if (user.twoFactorEnabled) {
+          const challengeToken = jwt.sign(
+            { purpose: "2fa_challenge", userId: user._id },
+            JWT_SECRET,
+            { expiresIn: "5m" }
+          );
+          return res.send({
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken,
+          });
+        }
+
+        await recordLoginAttempt(req, user.email, true);
+
+        // Generate access + refresh tokens
+        const tokens = await issueAuthTokens(user, req);
 
         // Return user info without password
         const { password: _, ...userWithoutPassword } = user;
 
         res.send({
           message: "Login successful",
-          token,
+          twoFactorSetupRequired: (
+            await getSecuritySettings()
+          ).requireTwoFactorRoles.includes(user.role),
+          ...tokens,
           user: userWithoutPassword,
         });
       } catch (error) {
@@ -307,756 +2165,4095 @@ async function run() {
       }
     });
 
-    // Get current user profile
-    app.get("/auth/me", verifyToken, async (req, res) => {
+    // Second login step: exchange a 2FA challenge + code for tokens
+    app.post("/auth/login/2fa", authLimiter, async (req, res) => {
       try {
-        const user = await userCollection.findOne(
-          { email: req.decodedEmail },
-          { projection: { password: 0 } }
-        );
+        const { challengeToken, code, recoveryCode } = req.body;
 
-        if (!user) {
-          return res.status(404).send({ message: "User not found" });
+        if (!challengeToken || (!code && !recoveryCode)) {
+          return res.status(400).send({
+            message: "Challenge token and code or recovery code are required",
+          });
+        }
+
+        let challenge;
+        try {
+          challenge = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (error) {
+          return res
+            .status(401)
+            .send({ message: "Invalid or expired challenge" });
+        }
+        if (challenge.purpose !== "2fa_challenge") {
+          return res
+            .status(401)
+            .send({ message: "Invalid or expired challenge" });
+        }
+
+        const user = await userCollection.findOne({
+          _id: new ObjectId(challenge.userId),
+        });
+        if (!user || user.status !== "active") {
+          return res
+            .status(403)
+            .send({ message: "Account is blocked. Contact administrator." });
+        }
+
+        const lockedUntil = await getLoginLockout(user.email, req.ip);
+        if (lockedUntil) {
+          return sendLockedOut(res, lockedUntil);
+        }
+
+        const verified = await verifySecondFactor(user._id, {
+          code,
+          recoveryCode,
+        });
+        if (!verified) {
+          await recordLoginAttempt(req, user.email, false, "invalid_2fa");
+          return res
+            .status(400)
+            .send({ message: "Invalid authentication code" });
         }
 
-        res.send(user);
+        await recordLoginAttempt(req, user.email, true);
+        const tokens = await issueAuthTokens(user, req);
+        const { password: _, ...userWithoutPassword } = user;
+
+        res.send({
+          message: "Login successful",
+          ...tokens,
+          user: userWithoutPassword,
+        });
       } catch (error) {
-        console.error("Get profile error:", error);
-        res.status(500).send({ message: "Failed to get profile" });
+        console.error("2FA login error:", error);
+        res.status(500).send({ message: "Login failed" });
       }
     });
 
-    // Change password
-    app.patch("/auth/change-password", verifyToken, async (req, res) => {
-      try {
-        const { currentPassword, newPassword } = req.body;
+    // ============ TWO-FACTOR AUTHENTICATION ============
 
-        // Find user
+    // Start enrollment: create a pending secret and otpauth URI
+    app.post("/auth/2fa/setup", verifyToken, async (req, res) => {
+      try {
         const user = await userCollection.findOne({ email: req.decodedEmail });
         if (!user) {
           return res.status(404).send({ message: "User not found" });
         }
 
-        // Verify current password
-        const isValidPassword = await bcrypt.compare(
-          currentPassword,
-          user.password
-        );
-        if (!isValidPassword) {
+        if (user.twoFactorEnabled) {
           return res
             .status(400)
-            .send({ message: "Current password is incorrect" });
+            .send({ message: "Two-factor authentication is already enabled" });
         }
 
-        // Hash new password
-        const saltRounds = 10;
-        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
-
-        // Update password
-        await userCollection.updateOne(
-          { email: req.decodedEmail },
-          { $set: { password: hashedNewPassword, updatedAt: new Date() } }
+        const secret = base32Encode(crypto.randomBytes(20));
+        await twoFactorCollection.updateOne(
+          { userId: user._id },
+          {
+            $set: {
+              email: user.email,
+              pendingSecret: encryptSecret(secret),
+              enabled: false,
+              updatedAt: new Date(),
+            },
+            $setOnInsert: { createdAt: new Date() },
+          },
+          { upsert: true }
         );
 
-        res.send({ message: "Password changed successfully" });
+        const issuer = "BloodBridge";
+        const otpauthUri = `otpauth://totp/${encodeURIComponent(
+          `${issuer}:${user.email}`
+        )}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+        res.send({ secret, otpauthUri });
       } catch (error) {
-        console.error("Change password error:", error);
-        res.status(500).send({ message: "Failed to change password" });
+        console.error("2FA setup error:", error);
+        res.status(500).send({ message: "Failed to start 2FA setup" });
       }
     });
 
-    //users info
-    app.post("/users", async (req, res) => {
-      const userInfo = req.body;
-      userInfo.email = userInfo.email?.toLowerCase();
-      userInfo.createdAt = new Date();
-      userInfo.role = userInfo.role || "donor";
-      userInfo.status = userInfo.status || "active";
-
-      // Hash password if provided
-      if (userInfo.password) {
-        const saltRounds = 10;
-        userInfo.password = await bcrypt.hash(userInfo.password, saltRounds);
-      }
-
-      const result = await userCollection.insertOne(userInfo);
-      res.send(result);
-    });
-
-    app.get("/users", verifyToken, async (req, res) => {
+    // Finish enrollment by proving the authenticator app works
+    app.post("/auth/2fa/enable", verifyToken, async (req, res) => {
       try {
-        const adminEmail = req.decodedEmail;
-        const adminUser = await userCollection.findOne({ email: adminEmail });
+        const { code } = req.body;
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
 
-        if (adminUser?.role !== "admin") {
+        const record = await twoFactorCollection.findOne({ userId: user._id });
+        if (!record?.pendingSecret) {
           return res
-            .status(403)
-            .send({ error: "Only admins can view all users" });
+            .status(400)
+            .send({ message: "Start two-factor setup first" });
         }
 
-        const { role, status, page = 1, limit = 10 } = req.query;
-        const query = {};
-
-        if (role) query.role = role;
-        if (status) query.status = status;
-
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const users = await userCollection
-          .find(query, { projection: { password: 0 } })
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .toArray();
+        const step = verifyTotp(decryptSecret(record.pendingSecret), code);
+        if (step === null) {
+          return res
+            .status(400)
+            .send({ message: "Invalid authentication code" });
+        }
 
-        const total = await userCollection.countDocuments(query);
+        const { codes, hashes } = generateRecoveryCodes();
+        await twoFactorCollection.updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              secret: record.pendingSecret,
+              enabled: true,
+              recoveryCodes: hashes,
+              lastUsedStep: step,
+              enabledAt: new Date(),
+              updatedAt: new Date(),
+            },
+            $unset: { pendingSecret: "" },
+          }
+        );
+        await userCollection.updateOne(
+          { _id: user._id },
+          { $set: { twoFactorEnabled: true, updatedAt: new Date() } }
+        );
 
         res.send({
-          users,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit)),
-          },
+          message: "Two-factor authentication enabled",
+          recoveryCodes: codes,
         });
       } catch (error) {
-        console.error("Get users error:", error);
-        res.status(500).send({ error: "Failed to fetch users" });
-      }
-    });
-
-    app.get("/users/role/:email", async (req, res) => {
-      const email = req.params.email?.toLowerCase();
-      const query = { email: email };
-      const result = await userCollection.findOne(query, {
-        projection: { password: 0 },
-      });
-      if (!result) {
-        return res.status(404).send({ message: "User not found" });
+        console.error("2FA enable error:", error);
+        res.status(500).send({ message: "Failed to enable 2FA" });
       }
-      res.send(result);
     });
 
-    // Update profile (excluding email and password)
-    app.patch("/users/profile", verifyToken, async (req, res) => {
-      const email = req.decodedEmail?.toLowerCase();
-      const { name, bloodGroup, district, upazila, photoURL } = req.body;
-
-      const result = await userCollection.updateOne(
-        { email },
-        {
-          $set: {
-            name,
-            bloodGroup,
-            district,
-            upazila,
-            photoURL,
-            updatedAt: new Date(),
-          },
+    // Turn 2FA off (requires password and a current code)
+    app.post("/auth/2fa/disable", verifyToken, async (req, res) => {
+      try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
         }
-      );
-
-      if (result.matchedCount === 0) {
-        return res.status(404).send({ error: "User not found" });
-      }
 
-      res.send({ success: true });
-    });
-
-    // PATCH route: admin can change any user's role
-    app.patch("/users/role", verifyToken, checkDemoAdmin, async (req, res) => {
-      const adminEmail = req.decodedEmail;
-      const { email, newRole } = req.body;
-
-      try {
-        // Check if the requester is an admin
-        const adminUser = await userCollection.findOne({ email: adminEmail });
-        if (adminUser?.role !== "admin") {
+        if (!user.twoFactorEnabled) {
           return res
-            .status(403)
-            .send({ error: "Only admins can change roles" });
+            .status(400)
+            .send({ message: "Two-factor authentication is not enabled" });
         }
 
-        // Validate the new role
-        if (!["donor", "volunteer", "admin"].includes(newRole)) {
-          return res.status(400).send({
-            error: "Invalid role. Must be donor, volunteer, or admin",
+        const { requireTwoFactorRoles } = await getSecuritySettings();
+        if (requireTwoFactorRoles.includes(user.role)) {
+          return res.status(403).send({
+            message: "Two-factor authentication is required for your role",
           });
         }
 
-        // Check if target user exists
-        const targetUser = await userCollection.findOne({
-          email: email.toLowerCase(),
-        });
-        if (!targetUser) {
-          return res.status(404).send({ error: "User not found" });
+        const isValidPassword = await bcrypt.compare(
+          password || "",
+          user.password
+        );
+        if (!isValidPassword) {
+          return res.status(400).send({ message: "Password is incorrect" });
         }
 
-        // Prevent admin from demoting themselves
-        if (
-          adminEmail.toLowerCase() === email.toLowerCase() &&
-          newRole !== "admin"
-        ) {
+        const verified = await verifySecondFactor(user._id, {
+          code,
+          recoveryCode,
+        });
+        if (!verified) {
           return res
             .status(400)
-            .send({ error: "You cannot change your own admin role" });
+            .send({ message: "Invalid authentication code" });
         }
 
-        // Update the user's role
-        const result = await userCollection.updateOne(
-          { email: email.toLowerCase() },
-          {
-            $set: {
-              role: newRole,
-              updatedAt: new Date(),
-            },
-          }
+        await twoFactorCollection.deleteOne({ userId: user._id });
+        await userCollection.updateOne(
+          { _id: user._id },
+          { $set: { twoFactorEnabled: false, updatedAt: new Date() } }
         );
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "User not found" });
+        res.send({ message: "Two-factor authentication disabled" });
+      } catch (error) {
+        console.error("2FA disable error:", error);
+        res.status(500).send({ message: "Failed to disable 2FA" });
+      }
+    });
+
+    // Replace all recovery codes (requires a current TOTP code)
+    app.post("/auth/2fa/recovery-codes", verifyToken, async (req, res) => {
+      try {
+        const { code } = req.body;
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        if (!user?.twoFactorEnabled) {
+          return res
+            .status(400)
+            .send({ message: "Two-factor authentication is not enabled" });
         }
 
-        res.send({
-          success: true,
-          message: `User role updated to ${newRole} successfully`,
-          updatedUser: {
-            email: email.toLowerCase(),
-            role: newRole,
-          },
-        });
+        const verified = await verifySecondFactor(user._id, { code });
+        if (!verified) {
+          return res
+            .status(400)
+            .send({ message: "Invalid authentication code" });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await twoFactorCollection.updateOne(
+          { userId: user._id },
+          { $set: { recoveryCodes: hashes, updatedAt: new Date() } }
+        );
+
+        res.send({ recoveryCodes: codes });
       } catch (error) {
-        console.error("Role update error:", error);
-        res.status(500).send({ error: "Failed to update user role" });
+        console.error("Regenerate recovery codes error:", error);
+        res.status(500).send({ message: "Failed to regenerate codes" });
       }
     });
 
-    // Update user status (admin only)
-    app.patch(
-      "/update/user/status",
-      verifyToken,
-      checkDemoAdmin,
-      async (req, res) => {
-        try {
-          const adminEmail = req.decodedEmail;
-          const { email, status } = req.query;
+    // Exchange a refresh token for a new access token (rotates the refresh token)
+    app.post("/auth/refresh", refreshLimiter, async (req, res) => {
+      try {
+        const { refreshToken } = req.body;
 
-          // Check if the requester is an admin
-          const adminUser = await userCollection.findOne({ email: adminEmail });
-          if (adminUser?.role !== "admin") {
-            return res
-              .status(403)
-              .send({ error: "Only admins can change user status" });
-          }
+        if (!refreshToken) {
+          return res.status(400).send({ message: "Refresh token required" });
+        }
 
-          // Validate status
-          if (!["active", "blocked"].includes(status)) {
-            return res
-              .status(400)
-              .send({ error: "Invalid status. Must be active or blocked" });
-          }
+        const tokenHash = hashToken(refreshToken);
+        const newRefreshToken = crypto.randomBytes(48).toString("hex");
 
-          // Prevent admin from blocking themselves
-          if (
-            adminEmail.toLowerCase() === email.toLowerCase() &&
-            status === "blocked"
-          ) {
-            return res.status(400).send({ error: "You cannot block yourself" });
+        // Atomically swap the token so a refresh token can only be used once
+        const stored = await refreshTokenCollection.findOneAndUpdate(
+          {
+            tokenHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+          {
+            $set: {
+              tokenHash: hashToken(newRefreshToken),
+              previousTokenHash: tokenHash,
+              lastUsedAt: new Date(),
+              lastSeenAt: new Date(),
+              lastSeenIp: req.ip,
+            },
           }
+        );
 
-          const result = await userCollection.updateOne(
-            { email: email.toLowerCase() },
-            {
-              $set: {
-                status: status,
-                updatedAt: new Date(),
-              },
-            }
+        if (!stored) {
+          // A rotated-out token being replayed means it leaked: kill the chain
+          await refreshTokenCollection.updateOne(
+            { previousTokenHash: tokenHash, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
           );
-
-          if (result.matchedCount === 0) {
-            return res.status(404).send({ error: "User not found" });
-          }
-
-          res.send({
-            success: true,
-            message: `User status updated to ${status} successfully`,
-            modifiedCount: result.modifiedCount,
-          });
-        } catch (error) {
-          console.error("Status update error:", error);
-          res.status(500).send({ error: "Failed to update user status" });
+          return res
+            .status(401)
+            .send({ message: "Invalid or expired refresh token" });
         }
-      }
-    );
-
-    // Get user statistics by role (admin only)
-    app.get("/users/stats", verifyToken, async (req, res) => {
-      try {
-        const adminEmail = req.decodedEmail;
-        const adminUser = await userCollection.findOne({ email: adminEmail });
 
-        if (adminUser?.role !== "admin") {
+        const user = await userCollection.findOne({ _id: stored.userId });
+        if (!user || user.status !== "active") {
+          await refreshTokenCollection.updateOne(
+            { _id: stored._id },
+            { $set: { revokedAt: new Date(), revokedReason: "user_inactive" } }
+          );
           return res
             .status(403)
-            .send({ error: "Only admins can view user statistics" });
+            .send({ message: "Account is blocked. Contact administrator." });
         }
 
-        const stats = await userCollection
-          .aggregate([
-            {
-              $group: {
-                _id: "$role",
-                count: { $sum: 1 },
-              },
-            },
-          ])
-          .toArray();
-
-        const statusStats = await userCollection
-          .aggregate([
-            {
-              $group: {
-                _id: "$status",
-                count: { $sum: 1 },
-              },
-            },
-          ])
-          .toArray();
-
-        const totalUsers = await userCollection.countDocuments();
-
         res.send({
-          totalUsers,
-          roleStats: stats,
-          statusStats: statusStats,
+          token: signAccessToken(user, stored._id),
+          refreshToken: newRefreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
         });
       } catch (error) {
-        console.error("Stats error:", error);
-        res.status(500).send({ error: "Failed to fetch user statistics" });
+        console.error("Refresh token error:", error);
+        res.status(500).send({ message: "Failed to refresh token" });
       }
     });
 
-    //Request Collection
-    app.post("/requests", verifyToken, async (req, res) => {
-      const data = req.body;
-      data.createdAt = new Date();
-      const result = await requestCollection.insertOne(data);
-      res.send(result);
-    });
-
-    app.get("/my-request", verifyToken, async (req, res) => {
+    // Logout: end the current session (or the one owning refreshToken),
+    // or every session with { all: true }
+    app.post("/auth/logout", verifyToken, async (req, res) => {
       try {
-        const email = req.decodedEmail;
+        const { refreshToken, all = false } = req.body || {};
 
-        // Pagination params
-        const size = Number(req.query.size) || 10;
-        const page = Number(req.query.page) || 0;
+        if (all) {
+          await revokeAllUserTokens(req.decodedEmail, "logout_all");
+          return res.send({ message: "Logged out from all devices" });
+        }
 
-        const query = { requesterEmail: email };
+        if (!refreshToken && !req.user.sid) {
+          return res.status(400).send({ message: "Refresh token required" });
+        }
 
-        const result = await requestCollection
-          .find(query)
-          .skip(size * page)
-          .limit(size)
-          .toArray();
+        await refreshTokenCollection.updateOne(
+          {
+            ...(refreshToken
+              ? { tokenHash: hashToken(refreshToken) }
+              : { _id: new ObjectId(req.user.sid) }),
+            email: req.decodedEmail,
+            revokedAt: null,
+          },
+          { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+        );
 
-        const totalRequest = await requestCollection.countDocuments(query);
+        res.send({ message: "Logged out successfully" });
+      } catch (error) {
+        console.error("Logout error:", error);
+        res.status(500).send({ message: "Logout failed" });
+      }
+    });
 
-        res.send({
-          request: result,
-          totalRequest,
-          page,
-          size,
-          totalPages: Math.ceil(totalRequest / size),
-        });
-      } catch (err) {
-        console.error(err);
-        res.status(500).send({ error: "Failed to fetch requests" });
+    // ============ SESSION MANAGEMENT ============
+
+    // List the user's active sessions (devices)
+    app.get("/auth/sessions", verifyToken, async (req, res) => {
+      try {
+        const sessions = await refreshTokenCollection
+          .find({
+            email: req.decodedEmail,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+          })
+          .sort({ lastSeenAt: -1 })
+          .project({
+            createdAt: 1,
+            lastSeenAt: 1,
+            lastSeenIp: 1,
+            ip: 1,
+            userAgent: 1,
+            expiresAt: 1,
+          })
+          .toArray();
+
+        res.send(
+          sessions.map((session) => ({
+            ...session,
+            current: session._id.toString() === req.user.sid,
+          }))
+        );
+      } catch (error) {
+        console.error("List sessions error:", error);
+        res.status(500).send({ message: "Failed to fetch sessions" });
       }
     });
 
-    app.put("/requests/:id", verifyToken, async (req, res) => {
-      const { id } = req.params;
-      const email = req.decodedEmail;
-      const updateData = req.body;
-
-      //  Prevent editing of protected fields
-      const protectedFields = [
-        "requesterEmail",
-        "donation_status",
-        "donorName",
-        "donorEmail",
-        "createdAt",
-        "_id",
-      ];
+    // Revoke every session except the one making this request
+    app.delete("/auth/sessions", verifyToken, async (req, res) => {
+      try {
+        const query = { email: req.decodedEmail, revokedAt: null };
+        if (req.user.sid) query._id = { $ne: new ObjectId(req.user.sid) };
+
+        const result = await refreshTokenCollection.updateMany(query, {
+          $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" },
+        });
 
-      protectedFields.forEach((field) => delete updateData[field]);
+        res.send({ success: true, revokedSessions: result.modifiedCount });
+      } catch (error) {
+        console.error("Revoke sessions error:", error);
+        res.status(500).send({ message: "Failed to revoke sessions" });
+      }
+    });
 
+    // Revoke a single session
+    app.delete("/auth/sessions/:id", verifyToken, async (req, res) => {
       try {
-        const result = await requestCollection.updateOne(
-          { _id: new ObjectId(id), requesterEmail: email },
-          { $set: { ...updateData, updatedAt: new Date() } }
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(400).send({ message: "Invalid session id" });
+        }
+
+        const result = await refreshTokenCollection.updateOne(
+          {
+            _id: new ObjectId(req.params.id),
+            email: req.decodedEmail,
+            revokedAt: null,
+          },
+          { $set: { revokedAt: new Date(), revokedReason: "revoked_by_user" } }
         );
 
         if (result.matchedCount === 0) {
-          return res
-            .status(403)
-            .send({ error: "You can only edit your own requests" });
+          return res.status(404).send({ message: "Session not found" });
         }
 
-        res.send({ success: true, message: "Request updated successfully" });
+        res.send({ success: true });
       } catch (error) {
-        console.error("Edit request error:", error);
-        res.status(500).send({ error: "Failed to update request" });
+        console.error("Revoke session error:", error);
+        res.status(500).send({ message: "Failed to revoke session" });
       }
     });
 
-    app.delete("/requests/:id", verifyToken, async (req, res) => {
-      const { id } = req.params;
-      const email = req.decodedEmail;
-      const result = await requestCollection.deleteOne({
-        _id: new ObjectId(id),
-        requesterEmail: email,
-      });
-      if (result.deletedCount === 0) {
-        return res.status(403).send({ error: "Not your request or not found" });
+    // Get current user profile
+    app.get("/auth/me", verifyToken, async (req, res) => {
+      try {
+        const user = await userCollection.findOne(
+          { email: req.decodedEmail },
+          { projection: { password: 0 } }
+        );
+
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        // Recent sign-in history so users can spot logins they don't recognise
+        const loginAttempts = await loginAttemptCollection
+          .find({ email: user.email })
+          .sort({ createdAt: -1 })
+          .limit(20)
+          .project({ _id: 0, createdAt: 1, ip: 1, userAgent: 1, success: 1 })
+          .toArray();
+
+        res.send({
+          ...user,
+          permissions: getEffectivePermissions(user),
+          loginAttempts,
+        });
+      } catch (error) {
+        console.error("Get profile error:", error);
+        res.status(500).send({ message: "Failed to get profile" });
       }
-      res.send({ success: true });
     });
 
-    //funding collection
-    app.post("/create-payment-checkout", async (req, res) => {
-      const information = req.body;
-      const amount = parseInt(information.donateAmount) * 100;
+    // ============ PERSONAL DATA EXPORT & ACCOUNT DELETION ============
 
-      const session = await stripe.checkout.sessions.create({
-        line_items: [
-          {
-            price_data: {
-              currency: "usd",
-              unit_amount: amount,
-              product_data: {
-                name: "please support us",
+    // Download everything we store about the current user as JSON
+    app.get("/auth/me/export", verifyToken, async (req, res) => {
+      try {
+        const email = req.decodedEmail.toLowerCase();
+        const profile = await userCollection.findOne(
+          { email },
+          { projection: { password: 0, tokenVersion: 0 } }
+        );
+
+        if (!profile) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        const [
+          requests,
+          donations,
+          messages,
+          conversations,
+          notifications,
+          achievements,
+          events,
+          testimonials,
+          loginAttempts,
+          requestUpdates,
+        ] = await Promise.all([
+          requestCollection.find({ requesterEmail: email }).toArray(),
+          requestCollection
+            .find({
+              $or: [{ donorEmail: email }, { "pledges.donorEmail": email }],
+            })
+            .toArray(),
+          messageCollection
+            .find({ $or: [{ senderEmail: email }, { receiverEmail: email }] })
+            .sort({ createdAt: 1 })
+            .toArray(),
+          conversationCollection.find({ participants: email }).toArray(),
+          notificationCollection.find({ userEmail: email }).toArray(),
+          achievementsCollection.findOne({ userEmail: email }),
+          eventsCollection
+            .find(
+              { "registrations.email": email },
+              {
+                projection: {
+                  name: 1,
+                  date: 1,
+                  district: 1,
+                  status: 1,
+                  registrations: { $elemMatch: { email } },
+                },
+              }
+            )
+            .toArray(),
+          testimonialCollection.find({ email }).toArray(),
+          loginAttemptCollection
+            .find({ email }, { projection: { _id: 0 } })
+            .toArray(),
+          requestUpdateCollection
+            .find({ authorEmail: email })
+            .sort({ createdAt: 1 })
+            .toArray(),
+        ]);
+
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="bloodbridge-export-${profile._id}.json"`
+        );
+        res.send({
+          exportedAt: new Date(),
+          profile,
+          requests,
+          donations,
+          messages,
+          conversations,
+          notifications,
+          achievements,
+          eventRegistrations: events.map(({ registrations, ...event }) => ({
+            event,
+            registration: registrations?.[0] || null,
+          })),
+          testimonials,
+          loginAttempts,
+          requestUpdates,
+        });
+      } catch (error) {
+        console.error("Export data error:", error);
+        res.status(500).send({ message: "Failed to export data" });
+      }
+    });
+
+    // Delete the current account. Donation records are kept but anonymised
+    // so statistics and leaderboards stay consistent.
+    app.delete("/auth/me", verifyToken, checkDemoAdmin, async (req, res) => {
+      try {
+        const { password, code, recoveryCode } = req.body || {};
+        const email = req.decodedEmail.toLowerCase();
+        const user = await userCollection.findOne({ email });
+
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        const isValidPassword = await bcrypt.compare(
+          password || "",
+          user.password
+        );
+        if (!isValidPassword) {
+          return res.status(400).send({ message: "Password is incorrect" });
+        }
+
+        if (
+          user.twoFactorEnabled &&
+          !(await verifySecondFactor(user._id, { code, recoveryCode }))
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Invalid authentication code" });
+        }
+
+        if (user.role === "admin") {
+          const adminCount = await userCollection.countDocuments({
+            role: "admin",
+          });
+          if (adminCount <= 1) {
+            return res
+              .status(400)
+              .send({ message: "The last admin account cannot be deleted" });
+          }
+        }
+
+        // Stable placeholder so anonymised records still group together
+        const placeholder = `deleted-${user._id}@deleted.invalid`;
+        const now = new Date();
+
+        // Units they pledged but never gave are released, reopening any
+        // request left without pledges
+        const pledgedRequests = await requestCollection
+          .find({
+            pledges: { $elemMatch: { donorEmail: email, status: "pledged" } },
+          })
+          .toArray();
+        for (const request of pledgedRequests) {
+          const updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              pledges: { $elemMatch: { donorEmail: email, status: "pledged" } },
+            },
+            {
+              $set: {
+                "pledges.$.status": "canceled",
+                "pledges.$.updatedAt": now,
+                "pledges.$.note": "Donor deleted their account",
+                updatedAt: now,
               },
+              $inc: { unitsPledged: -1 },
             },
+            { returnDocument: "after" }
+          );
+          if (updated) {
+            await reopenIfUnpledged(updated, "Donor deleted their account");
+          }
+        }
 
-            quantity: 1,
-          },
-        ],
-        mode: "payment",
-        metadata: {
-          donorName: information?.donorName,
-        },
-        customer_email: information?.donorEmail,
-        success_url: `${
-          process.env.SITE_DOMAIN || "http://localhost:5173"
-        }/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${
-          process.env.SITE_DOMAIN || "http://localhost:5173"
-        }/payment-failed`,
-      });
+        await Promise.all([
+          // Donations they gave: keep the record, drop the identity
+          requestCollection.updateMany(
+            { donorEmail: email },
+            {
+              $set: {
+                donorEmail: placeholder,
+                donorName: "Deleted donor",
+                updatedAt: now,
+              },
+            }
+          ),
+          requestCollection.updateMany(
+            { "pledges.donorEmail": email },
+            {
+              $set: {
+                "pledges.$[mine].donorEmail": placeholder,
+                "pledges.$[mine].donorName": "Deleted donor",
+                updatedAt: now,
+              },
+            },
+            { arrayFilters: [{ "mine.donorEmail": email }] }
+          ),
+          // Requests they made: open ones are withdrawn, all are anonymised
+          requestCollection.updateMany(
+            {
+              requesterEmail: email,
+              donation_status: { $in: OPEN_REQUEST_STATUSES },
+            },
+            [
+              {
+                $set: {
+                  statusHistory: {
+                    $concatArrays: [
+                      { $ifNull: ["$statusHistory", []] },
+                      [
+                        {
+                          from: "$donation_status",
+                          to: "canceled",
+                          by: "system",
+                          actor: "system",
+                          note: "Requester deleted their account",
+                          at: now,
+                        },
+                      ],
+                    ],
+                  },
+                  donation_status: "canceled",
+                  updatedAt: now,
+                },
+              },
+            ]
+          ),
+          messageCollection.updateMany(
+            { senderEmail: email },
+            {
+              $set: {
+                senderEmail: placeholder,
+                senderName: "Deleted user",
+                senderAvatar: "",
+                content: "[deleted]",
+              },
+            }
+          ),
+          messageCollection.updateMany(
+            { receiverEmail: email },
+            { $set: { receiverEmail: placeholder } }
+          ),
+          requestUpdateCollection.updateMany(
+            { authorEmail: email },
+            {
+              $set: {
+                authorEmail: placeholder,
+                authorName: "Deleted user",
+                message: "[deleted]",
+              },
+            }
+          ),
+          conversationCollection.updateMany(
+            { participants: email },
+            { $set: { "participants.$": placeholder, lastMessage: null } }
+          ),
+          eventsCollection.updateMany(
+            { "registrations.email": email },
+            {
+              $set: {
+                "registrations.$[reg].email": placeholder,
+                "registrations.$[reg].name": "Deleted user",
+              },
+            },
+            { arrayFilters: [{ "reg.email": email }] }
+          ),
+          notificationCollection.deleteMany({ userEmail: email }),
+          achievementsCollection.deleteMany({ userEmail: email }),
+          testimonialCollection.deleteMany({ email }),
+          loginAttemptCollection.deleteMany({ email }),
+          refreshTokenCollection.deleteMany({ email }),
+          passwordResetCollection.deleteMany({ email }),
+          emailVerificationCollection.deleteMany({ email }),
+          twoFactorCollection.deleteMany({ userId: user._id }),
+        ]);
+
+        // Runs after the status update above so it sees the canceled state
+        await requestCollection.updateMany(
+          { requesterEmail: email },
+          {
+            $set: {
+              requesterEmail: placeholder,
+              requesterName: "Deleted user",
+              updatedAt: now,
+            },
+          }
+        );
 
-      res.send({ url: session.url });
+        await userCollection.deleteOne({ _id: user._id });
+
+        // The audit entry deliberately carries no personal data
+        await recordAudit(req, {
+          action: "user.account_deleted",
+          targetType: "user",
+          targetId: user._id,
+          actor: { role: user.role, _id: user._id },
+        });
+
+        res.send({
+          message: "Your account and personal data have been deleted",
+        });
+      } catch (error) {
+        console.error("Delete account error:", error);
+        res.status(500).send({ message: "Failed to delete account" });
+      }
     });
 
-    app.post("/payment-success", async (req, res) => {
-      const { session_id } = req.query;
-      const session = await stripe.checkout.sessions.retrieve(session_id);
-      session_id;
-      console.log(session);
+    // Change password
+    app.patch("/auth/change-password", verifyToken, async (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
 
-      const transactionId = session.payment_intent;
+        // Find user
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
 
-      if (session.payment_status === "paid") {
-        const paymentInfo = {
-          amount: session.amount_total / 100,
-          currency: session.currency,
-          donorEmail: session.customer_email,
-          donorName: session.metadata.donorName,
-          transactionId: transactionId,
+        // Verify current password
+        const isValidPassword = await bcrypt.compare(
+          currentPassword,
+          user.password
+        );
+        if (!isValidPassword) {
+          return res
+            .status(400)
+            .send({ message: "Current password is incorrect" });
+        }
+
+        // Hash new password
+        const saltRounds = 10;
+        const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+        // Update password
+        await userCollection.updateOne(
+          { email: req.decodedEmail },
+          { $set: { password: hashedNewPassword, updatedAt: new Date() } }
+        );
+
+        res.send({ message: "Password changed successfully" });
+      } catch (error) {
+        console.error("Change password error:", error);
+        res.status(500).send({ message: "Failed to change password" });
+      }
+    });
+
+    // Request a password reset link (same response whether or not the email exists)
+    app.post("/auth/forgot-password", authLimiter, async (req, res) => {
+      const genericResponse = {
+        message:
+          "If an account exists for this email, a password reset link has been sent.",
+      };
+
+      try {
+        const { email } = req.body;
+
+        if (!email) {
+          return res.status(400).send({ message: "Email is required" });
+        }
+
+        const user = await userCollection.findOne({
+          email: email.toLowerCase(),
+        });
+
+        if (!user || user.status !== "active") {
+          return res.send(genericResponse);
+        }
+
+        // Only the newest reset link stays valid
+        await passwordResetCollection.updateMany(
+          { email: user.email, usedAt: null },
+          { $set: { usedAt: new Date(), invalidated: true } }
+        );
+
+        const resetToken = crypto.randomBytes(32).toString("hex");
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_MINUTES * 60000);
+
+        await passwordResetCollection.insertOne({
+          userId: user._id,
+          email: user.email,
+          tokenHash: hashToken(resetToken),
+          expiresAt,
+          usedAt: null,
+          requestedIp: req.ip,
           createdAt: new Date(),
-        };
-        const result = await paymentCollection.insertOne(paymentInfo);
-        return res.send(result);
+        });
+
+        await sendMail({
+          to: user.email,
+          type: "password_reset",
+          subject: "Reset your BloodBridge password",
+          text: `Hi ${
+            user.name || "there"
+          },\n\nUse the link below to reset your password. It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.\n\n${SITE_DOMAIN}/reset-password?token=${resetToken}\n\nIf you did not request this, you can ignore this email.`,
+        });
+
+        res.send(genericResponse);
+      } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).send({ message: "Failed to process request" });
       }
     });
 
-    //Get payment records with pagination
-    app.get("/payment-records", verifyToken, async (req, res) => {
-      const page = parseInt(req.query.page) || 1;
-      const size = parseInt(req.query.size) || 8; // 8 items per page
+    // Reset password with a one-time token
+    app.post("/auth/reset-password", authLimiter, async (req, res) => {
+      try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+          return res
+            .status(400)
+            .send({ message: "Token and new password are required" });
+        }
+
+        if (newPassword.length < 6) {
+          return res.status(400).send({
+            message: "Password must be at least 6 characters long",
+          });
+        }
+
+        // Mark the token used atomically so it cannot be redeemed twice
+        const resetRecord = await passwordResetCollection.findOneAndUpdate(
+          {
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+          { $set: { usedAt: new Date() } }
+        );
+
+        if (!resetRecord) {
+          return res
+            .status(400)
+            .send({ message: "Invalid or expired reset token" });
+        }
+
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+        const result = await userCollection.updateOne(
+          { _id: resetRecord.userId },
+          { $set: { password: hashedPassword, updatedAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        // Log out every device that may still hold the old credentials
+        await revokeAllUserTokens(resetRecord.email, "password_reset");
+
+        res.send({ message: "Password reset successfully. Please log in." });
+      } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).send({ message: "Failed to reset password" });
+      }
+    });
+
+    // Confirm an email address with the token from the verification email
+    app.post("/auth/verify-email", async (req, res) => {
+      try {
+        const { token } = req.body;
+
+        if (!token) {
+          return res
+            .status(400)
+            .send({ message: "Verification token required" });
+        }
+
+        const record = await emailVerificationCollection.findOneAndUpdate(
+          {
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+          { $set: { usedAt: new Date() } }
+        );
+
+        if (!record) {
+          return res
+            .status(400)
+            .send({ message: "Invalid or expired verification token" });
+        }
+
+        await userCollection.updateOne(
+          { _id: record.userId },
+          {
+            $set: {
+              emailVerified: true,
+              emailVerifiedAt: new Date(),
+              updatedAt: new Date(),
+            },
+          }
+        );
+
+        res.send({ message: "Email verified successfully" });
+      } catch (error) {
+        console.error("Verify email error:", error);
+        res.status(500).send({ message: "Failed to verify email" });
+      }
+    });
+
+    // Send a fresh verification email to the logged-in user
+    app.post("/auth/resend-verification", verifyToken, async (req, res) => {
+      try {
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        if (user.emailVerified !== false) {
+          return res.status(400).send({ message: "Email is already verified" });
+        }
+
+        await sendVerificationEmail(user);
+        res.send({ message: "Verification email sent" });
+      } catch (error) {
+        console.error("Resend verification error:", error);
+        res.status(500).send({ message: "Failed to send verification email" });
+      }
+    });
+
+    app.get(
+      "/users",
+      verifyToken,
+      requirePermission("users:read"),
+      async (req, res) => {
+        try {
+          const { role, status } = req.query;
+          const query = {};
+
+          if (role) query.role = role;
+          if (status) query.status = status;
+
+          const paging = parsePagination(req.query, { sizeParam: "limit" });
+          if (paging.error) {
+            return res.status(400).send({ error: paging.error });
+          }
+
+          const [result, total] = await Promise.all([
+            fetchPage(
+              userCollection,
+              {
+                stages: [{ $match: query }],
+                sort: { createdAt: -1 },
+                projection: { password: 0 },
+              },
+              paging
+            ),
+            paging.includeTotal ? userCollection.countDocuments(query) : null,
+          ]);
+          if (result.error) {
+            return res.status(400).send({ error: result.error });
+          }
+
+          res.send({
+            users: result.items,
+            pagination: paginationInfo(paging, total, result.cursors),
+          });
+        } catch (error) {
+          console.error("Get users error:", error);
+          res.status(500).send({ error: "Failed to fetch users" });
+        }
+      }
+    );
+
+    app.get("/users/role/:email", async (req, res) => {
+      const email = req.params.email?.toLowerCase();
+      const query = { email: email };
+      const result = await userCollection.findOne(query, {
+        projection: PRIVATE_USER_FIELDS,
+      });
+      if (!result) {
+        return res.status(404).send({ message: "User not found" });
+      }
+      res.send(result);
+    });
+
+    // Update profile (excluding email and password)
+    app.patch("/users/profile", verifyToken, async (req, res) => {
+      const email = req.decodedEmail?.toLowerCase();
+      const { name, bloodGroup, district, upazila, photoURL } = req.body;
+      const { latitude, longitude } = req.body;
+
+      // Coordinates are optional; send both as null to clear them
+      const clearLocation = latitude === null && longitude === null;
+      const location =
+        !clearLocation && (latitude !== undefined || longitude !== undefined)
+          ? toGeoPoint(latitude, longitude)
+          : undefined;
+      if (location === null) {
+        return res.status(400).send({ error: "Invalid latitude/longitude" });
+      }
+
+      const result = await userCollection.updateOne(
+        { email },
+        {
+          $set: {
+            name,
+            bloodGroup,
+            district,
+            upazila,
+            photoURL,
+            ...(location && { location }),
+            updatedAt: new Date(),
+          },
+          ...(clearLocation && { $unset: { location: "" } }),
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ error: "User not found" });
+      }
+
+      res.send({ success: true });
+    });
+
+    // Set the caller's availability, quiet hours or both; fields that are
+    // not sent are left alone. Send quietHours: null to remove them.
+    app.patch("/users/availability", verifyToken, async (req, res) => {
+      const { quietHours } = req.body || {};
+      const errors = {};
+
+      const availability = validateSchema(AVAILABILITY_SCHEMA, req.body, {
+        partial: true,
+      });
+      Object.assign(errors, availability.errors);
+      const { status, until } = availability.value;
+      if (!status && !errors.status && until) {
+        errors.status = "is required when setting until";
+      } else if (!status && !errors.status && quietHours === undefined) {
+        return res
+          .status(400)
+          .send({ error: "Send status, quietHours or both" });
+      }
+      if (status === "unavailable" && !until && !errors.until) {
+        errors.until = "is required when unavailable";
+      } else if (
+        status === "unavailable" &&
+        until &&
+        new Date(`${until}T00:00:00`) <= new Date()
+      ) {
+        errors.until = "must be in the future";
+      }
+
+      let quiet;
+      if (quietHours) {
+        const checked = validateSchema(QUIET_HOURS_SCHEMA, quietHours);
+        for (const [field, message] of Object.entries(checked.errors || {})) {
+          errors[`quietHours.${field}`] = message;
+        }
+        quiet = checked.value;
+        if (quiet.timezone && !isValidTimezone(quiet.timezone)) {
+          errors["quietHours.timezone"] = "is not a valid time zone";
+        }
+      }
+
+      if (Object.keys(errors).length) {
+        return sendValidationError(res, errors);
+      }
+
+      try {
+        // Donors cannot make themselves available again before they are
+        // eligible to donate (opting out entirely is always allowed)
+        if (status && status !== "not_available") {
+          const lastDonation = await lastDonationFor(req.decodedEmail);
+          const eligibleAt = lastDonation?.donatedAt
+            ? new Date(
+                lastDonation.donatedAt.getTime() + ELIGIBILITY_DAYS * DAY_MS
+              )
+            : null;
+          const endsAt =
+            status === "unavailable"
+              ? new Date(`${until}T00:00:00`)
+              : new Date();
+          if (eligibleAt && endsAt < eligibleAt) {
+            return res.status(409).send({
+              error: `You can donate again on ${eligibleAt.toDateString()}, so you stay unavailable until then`,
+              nextEligibleAt: eligibleAt,
+            });
+          }
+        }
+
+        const update = { updatedAt: new Date() };
+        if (status) {
+          update.availability = {
+            status,
+            until:
+              status === "unavailable" ? new Date(`${until}T00:00:00`) : null,
+            reason: "manual",
+            updatedAt: new Date(),
+          };
+        }
+        if (quiet) {
+          update.quietHours = { timezone: DEFAULT_TIMEZONE, ...quiet };
+        }
+
+        const user = await userCollection.findOneAndUpdate(
+          { email: req.decodedEmail },
+          {
+            $set: update,
+            ...(quietHours === null && { $unset: { quietHours: "" } }),
+          },
+          {
+            returnDocument: "after",
+            projection: { availability: 1, quietHours: 1 },
+          }
+        );
+
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.send({
+          success: true,
+          availability: user.availability,
+          quietHours: user.quietHours || null,
+          inQuietHours: isInQuietHours(user),
+        });
+      } catch (error) {
+        console.error("Availability update error:", error);
+        res.status(500).send({ error: "Failed to update availability" });
+      }
+    });
+
+    // PATCH route: admin can change any user's role
+    app.patch(
+      "/users/role",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        const adminEmail = req.decodedEmail;
+        const { email, newRole } = req.body;
+
+        try {
+          // Validate the new role
+          if (!["donor", "volunteer", "admin"].includes(newRole)) {
+            return res.status(400).send({
+              error: "Invalid role. Must be donor, volunteer, or admin",
+            });
+          }
+
+          // Check if target user exists
+          const targetUser = await userCollection.findOne({
+            email: email.toLowerCase(),
+          });
+          if (!targetUser) {
+            return res.status(404).send({ error: "User not found" });
+          }
+
+          // Only admins can grant the admin role or change another admin
+          if (
+            req.currentUser.role !== "admin" &&
+            (newRole === "admin" || targetUser.role === "admin")
+          ) {
+            return res
+              .status(403)
+              .send({ error: "Only admins can change admin roles" });
+          }
+
+          // Prevent admin from demoting themselves
+          if (
+            adminEmail.toLowerCase() === email.toLowerCase() &&
+            newRole !== "admin"
+          ) {
+            return res
+              .status(400)
+              .send({ error: "You cannot change your own admin role" });
+          }
+
+          // Update the user's role
+          const result = await userCollection.updateOne(
+            { email: email.toLowerCase() },
+            {
+              $set: {
+                role: newRole,
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ error: "User not found" });
+          }
+
+          await recordAudit(req, {
+            action: "user.role_changed",
+            targetType: "user",
+            targetId: targetUser.email,
+            before: { role: targetUser.role },
+            after: { role: newRole },
+          });
+
+          res.send({
+            success: true,
+            message: `User role updated to ${newRole} successfully`,
+            updatedUser: {
+              email: email.toLowerCase(),
+              role: newRole,
+            },
+          });
+        } catch (error) {
+          console.error("Role update error:", error);
+          res.status(500).send({ error: "Failed to update user role" });
+        }
+      }
+    );
+
+    // Update user status (admin only)
+    app.patch(
+      "/update/user/status",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const adminEmail = req.decodedEmail;
+          const { email, status } = req.query;
+
+          // Validate status
+          if (!["active", "blocked"].includes(status)) {
+            return res
+              .status(400)
+              .send({ error: "Invalid status. Must be active or blocked" });
+          }
+
+          // Prevent admin from blocking themselves
+          if (
+            adminEmail.toLowerCase() === email.toLowerCase() &&
+            status === "blocked"
+          ) {
+            return res.status(400).send({ error: "You cannot block yourself" });
+          }
+
+          // Only admins can change another admin's status
+          const targetUser = await userCollection.findOne(
+            { email: email.toLowerCase() },
+            { projection: { role: 1, status: 1 } }
+          );
+          if (
+            targetUser?.role === "admin" &&
+            req.currentUser.role !== "admin"
+          ) {
+            return res
+              .status(403)
+              .send({ error: "Only admins can change an admin's status" });
+          }
+
+          const result = await userCollection.updateOne(
+            { email: email.toLowerCase() },
+            {
+              $set: {
+                status: status,
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ error: "User not found" });
+          }
+
+          // Blocking takes effect immediately: force-logout every session
+          let revokedSessions = 0;
+          if (status === "blocked") {
+            revokedSessions = await revokeAllUserTokens(email, "blocked");
+          }
+
+          await recordAudit(req, {
+            action: "user.status_changed",
+            targetType: "user",
+            targetId: email.toLowerCase(),
+            before: { status: targetUser?.status },
+            after: { status },
+            metadata: { revokedSessions },
+          });
+
+          res.send({
+            success: true,
+            message: `User status updated to ${status} successfully`,
+            modifiedCount: result.modifiedCount,
+            revokedSessions,
+          });
+        } catch (error) {
+          console.error("Status update error:", error);
+          res.status(500).send({ error: "Failed to update user status" });
+        }
+      }
+    );
+
+    // Security settings (admin only)
+    app.get(
+      "/admin/security-settings",
+      verifyToken,
+      requirePermission("security:manage"),
+      async (req, res) => {
+        try {
+          res.send(await getSecuritySettings());
+        } catch (error) {
+          console.error("Get security settings error:", error);
+          res.status(500).send({ error: "Failed to fetch security settings" });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/security-settings",
+      verifyToken,
+      requirePermission("security:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const { requireTwoFactorRoles } = req.body;
+          if (
+            !Array.isArray(requireTwoFactorRoles) ||
+            requireTwoFactorRoles.some(
+              (role) => !["donor", "volunteer", "admin"].includes(role)
+            )
+          ) {
+            return res.status(400).send({
+              error:
+                "requireTwoFactorRoles must be a list of donor, volunteer or admin",
+            });
+          }
+
+          const previous = await settingsCollection.findOne({
+            _id: "security",
+          });
+          await settingsCollection.updateOne(
+            { _id: "security" },
+            {
+              $set: {
+                requireTwoFactorRoles,
+                updatedBy: req.decodedEmail,
+                updatedAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+
+          await recordAudit(req, {
+            action: "settings.security_updated",
+            targetType: "settings",
+            targetId: "security",
+            before: {
+              requireTwoFactorRoles: previous?.requireTwoFactorRoles || [],
+            },
+            after: { requireTwoFactorRoles },
+          });
+
+          // Other instances pick the change up when their cache expires
+          const settings = { requireTwoFactorRoles };
+          securitySettingsCache = { settings, loadedAt: Date.now() };
+
+          res.send({ success: true, settings });
+        } catch (error) {
+          console.error("Update security settings error:", error);
+          res.status(500).send({ error: "Failed to update security settings" });
+        }
+      }
+    );
+
+    // Suspicious login activity (admin only)
+    app.get(
+      "/admin/login-activity",
+      verifyToken,
+      requirePermission("security:manage"),
+      async (req, res) => {
+        try {
+          const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 30);
+          const minFailures = parseInt(req.query.minFailures) || 3;
+          const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+          const groupFailures = (field) =>
+            loginAttemptCollection
+              .aggregate([
+                { $match: { success: false, createdAt: { $gte: since } } },
+                {
+                  $group: {
+                    _id: `$${field}`,
+                    failures: { $sum: 1 },
+                    lastAttemptAt: { $max: "$createdAt" },
+                    ips: { $addToSet: "$ip" },
+                    emails: { $addToSet: "$email" },
+                  },
+                },
+                { $match: { failures: { $gte: minFailures } } },
+                { $sort: { failures: -1 } },
+                { $limit: 50 },
+              ])
+              .toArray();
+
+          const [byAccount, byIp] = await Promise.all([
+            groupFailures("email"),
+            groupFailures("ip"),
+          ]);
+
+          res.send({
+            since,
+            byAccount: byAccount.map(({ _id, ...rest }) => ({
+              email: _id,
+              ...rest,
+            })),
+            byIp: byIp.map(({ _id, ...rest }) => ({ ip: _id, ...rest })),
+          });
+        } catch (error) {
+          console.error("Login activity error:", error);
+          res.status(500).send({ error: "Failed to fetch login activity" });
+        }
+      }
+    );
+
+    // Force-logout a user from every device (admin only)
+    app.post(
+      "/users/force-logout",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const { email } = req.body;
+          if (!email) {
+            return res.status(400).send({ error: "Email is required" });
+          }
+
+          const targetUser = await userCollection.findOne({
+            email: email.toLowerCase(),
+          });
+          if (!targetUser) {
+            return res.status(404).send({ error: "User not found" });
+          }
+
+          const revokedSessions = await revokeAllUserTokens(
+            email,
+            "forced_by_admin"
+          );
+
+          await recordAudit(req, {
+            action: "user.force_logout",
+            targetType: "user",
+            targetId: targetUser.email,
+            metadata: { revokedSessions },
+          });
+
+          res.send({ success: true, revokedSessions });
+        } catch (error) {
+          console.error("Force logout error:", error);
+          res.status(500).send({ error: "Failed to force logout" });
+        }
+      }
+    );
+
+    // Browse the audit log (filter by actor, action, target and date range)
+    app.get(
+      "/audit-log",
+      verifyToken,
+      requirePermission("audit:read"),
+      async (req, res) => {
+        try {
+          const { actor, action, targetType, targetId, from, to } = req.query;
+
+          const paging = parsePagination(req.query, {
+            sizeParam: "limit",
+            defaultSize: 20,
+          });
+          if (paging.error) {
+            return res.status(400).send({ error: paging.error });
+          }
+          const dates = parseDateRange(from, to, "");
+          if (dates?.error) {
+            return res.status(400).send({ error: dates.error });
+          }
+
+          const query = {};
+          if (actor) query["actor.email"] = actor.toLowerCase();
+          if (action) query.action = action;
+          if (targetType) query["target.type"] = targetType;
+          if (targetId) {
+            query["target.id"] = ObjectId.isValid(targetId)
+              ? { $in: [targetId, new ObjectId(targetId)] }
+              : targetId;
+          }
+          if (dates) query.createdAt = dates.range;
+
+          const [result, total] = await Promise.all([
+            fetchPage(
+              auditLogCollection,
+              { stages: [{ $match: query }], sort: { createdAt: -1 } },
+              paging
+            ),
+            paging.includeTotal
+              ? auditLogCollection.countDocuments(query)
+              : null,
+          ]);
+          if (result.error) {
+            return res.status(400).send({ error: result.error });
+          }
+
+          res.send({
+            entries: result.items,
+            pagination: paginationInfo(paging, total, result.cursors),
+          });
+        } catch (error) {
+          console.error("Get audit log error:", error);
+          res.status(500).send({ error: "Failed to fetch audit log" });
+        }
+      }
+    );
+
+    // ============ PERMISSION MANAGEMENT ============
+
+    // Permission catalogue and the current role mapping
+    app.get(
+      "/permissions",
+      verifyToken,
+      requirePermission("permissions:manage"),
+      async (req, res) => {
+        res.send({
+          permissions: PERMISSIONS,
+          adminOnly: ADMIN_ONLY_PERMISSIONS,
+          roles: { ...rolePermissions, admin: Object.keys(PERMISSIONS) },
+        });
+      }
+    );
+
+    // Replace the permissions granted to a role (donor or volunteer)
+    app.put(
+      "/permissions/roles/:role",
+      verifyToken,
+      requirePermission("permissions:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const { role } = req.params;
+          const { permissions } = req.body;
+
+          if (!["donor", "volunteer"].includes(role)) {
+            return res.status(400).send({
+              error: "Only donor and volunteer permissions can be changed",
+            });
+          }
+
+          const invalid = ungrantablePermissions(permissions);
+          if (!invalid || invalid.length > 0) {
+            return res.status(400).send({
+              error: "Invalid or admin-only permissions",
+              invalidPermissions: invalid || [],
+            });
+          }
+
+          await settingsCollection.updateOne(
+            { _id: "permissions" },
+            {
+              $set: {
+                [`roles.${role}`]: permissions,
+                updatedBy: req.decodedEmail,
+                updatedAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+
+          await recordAudit(req, {
+            action: "permissions.role_updated",
+            targetType: "role",
+            targetId: role,
+            before: { permissions: rolePermissions[role] || [] },
+            after: { permissions },
+          });
+          // Reloaded from settings on the next request
+          rolePermissionsLoadedAt = 0;
+
+          res.send({ success: true, role, permissions });
+        } catch (error) {
+          console.error("Update role permissions error:", error);
+          res.status(500).send({ error: "Failed to update permissions" });
+        }
+      }
+    );
+
+    // Grant individual permissions to a single user on top of their role
+    app.patch(
+      "/users/permissions",
+      verifyToken,
+      requirePermission("permissions:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const { email, permissions } = req.body;
+
+          if (!email) {
+            return res.status(400).send({ error: "Email is required" });
+          }
+
+          const invalid = ungrantablePermissions(permissions);
+          if (!invalid || invalid.length > 0) {
+            return res.status(400).send({
+              error: "Invalid or admin-only permissions",
+              invalidPermissions: invalid || [],
+            });
+          }
+
+          const previous = await userCollection.findOneAndUpdate(
+            { email: email.toLowerCase() },
+            { $set: { permissions, updatedAt: new Date() } },
+            { projection: { permissions: 1 } }
+          );
+
+          if (!previous) {
+            return res.status(404).send({ error: "User not found" });
+          }
+
+          await recordAudit(req, {
+            action: "permissions.user_updated",
+            targetType: "user",
+            targetId: email.toLowerCase(),
+            before: { permissions: previous.permissions || [] },
+            after: { permissions },
+          });
+
+          res.send({ success: true, email: email.toLowerCase(), permissions });
+        } catch (error) {
+          console.error("Update user permissions error:", error);
+          res.status(500).send({ error: "Failed to update permissions" });
+        }
+      }
+    );
+
+    // ============ INVITATIONS ============
+
+    const invitationStatus = (invitation) => {
+      if (invitation.usedAt) return "used";
+      if (invitation.revokedAt) return "revoked";
+      if (invitation.expiresAt <= new Date()) return "expired";
+      return "pending";
+    };
+
+    // Invite a new admin or volunteer; the token is redeemed at /auth/register
+    app.post(
+      "/invitations",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const { email, role, expiresInHours } = req.body;
+
+          if (!["admin", "volunteer"].includes(role)) {
+            return res
+              .status(400)
+              .send({ error: "Role must be admin or volunteer" });
+          }
+
+          if (role === "admin" && req.currentUser.role !== "admin") {
+            return res
+              .status(403)
+              .send({ error: "Only admins can invite admins" });
+          }
+
+          if (email) {
+            const existingUser = await userCollection.findOne({
+              email: email.toLowerCase(),
+            });
+            if (existingUser) {
+              return res
+                .status(400)
+                .send({ error: "User already exists with this email" });
+            }
+          }
+
+          const hours = Math.min(
+            parseInt(expiresInHours) || INVITE_DEFAULT_HOURS,
+            24 * 30
+          );
+          const inviteToken = crypto.randomBytes(32).toString("hex");
+          const invitation = {
+            tokenHash: hashToken(inviteToken),
+            email: email ? email.toLowerCase() : null,
+            role,
+            invitedBy: req.decodedEmail,
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+            usedAt: null,
+            usedBy: null,
+            revokedAt: null,
+            createdAt: new Date(),
+          };
+
+          const result = await invitationCollection.insertOne(invitation);
+
+          await recordAudit(req, {
+            action: "invitation.created",
+            targetType: "invitation",
+            targetId: result.insertedId,
+            after: {
+              email: invitation.email,
+              role,
+              expiresAt: invitation.expiresAt,
+            },
+          });
+          const inviteUrl = `${SITE_DOMAIN}/register?invite=${inviteToken}`;
+
+          if (invitation.email) {
+            await sendMail({
+              to: invitation.email,
+              type: "invitation",
+              subject: `You're invited to join BloodBridge as ${role}`,
+              text: `${
+                req.currentUser.name || "An administrator"
+              } invited you to join BloodBridge as a ${role}. The invitation expires in ${hours} hours.\n\n${inviteUrl}`,
+            });
+          }
+
+          res.status(201).send({
+            success: true,
+            invitationId: result.insertedId,
+            inviteToken,
+            inviteUrl,
+            expiresAt: invitation.expiresAt,
+          });
+        } catch (error) {
+          console.error("Create invitation error:", error);
+          res.status(500).send({ error: "Failed to create invitation" });
+        }
+      }
+    );
+
+    // List invitations with their current status
+    app.get(
+      "/invitations",
+      verifyToken,
+      requirePermission("users:manage"),
+      async (req, res) => {
+        try {
+          const invitations = await invitationCollection
+            .find({}, { projection: { tokenHash: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .toArray();
+
+          res.send(
+            invitations.map((invitation) => ({
+              ...invitation,
+              status: invitationStatus(invitation),
+            }))
+          );
+        } catch (error) {
+          console.error("Get invitations error:", error);
+          res.status(500).send({ error: "Failed to fetch invitations" });
+        }
+      }
+    );
+
+    // Revoke an unused invitation
+    app.delete(
+      "/invitations/:id",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).send({ error: "Invalid invitation id" });
+          }
+
+          const result = await invitationCollection.updateOne(
+            { _id: new ObjectId(req.params.id), usedAt: null, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedBy: req.decodedEmail } }
+          );
+
+          if (result.matchedCount === 0) {
+            return res
+              .status(404)
+              .send({ error: "Invitation not found or already used" });
+          }
+
+          await recordAudit(req, {
+            action: "invitation.revoked",
+            targetType: "invitation",
+            targetId: new ObjectId(req.params.id),
+          });
+
+          res.send({ success: true });
+        } catch (error) {
+          console.error("Revoke invitation error:", error);
+          res.status(500).send({ error: "Failed to revoke invitation" });
+        }
+      }
+    );
+
+    // Check an invitation before registering (public, used by the sign-up form)
+    app.get("/invitations/verify", async (req, res) => {
+      try {
+        const { token } = req.query;
+        const invitation = token
+          ? await invitationCollection.findOne({ tokenHash: hashToken(token) })
+          : null;
+
+        if (!invitation || invitationStatus(invitation) !== "pending") {
+          return res.status(404).send({ valid: false });
+        }
+
+        res.send({
+          valid: true,
+          role: invitation.role,
+          email: invitation.email,
+          expiresAt: invitation.expiresAt,
+        });
+      } catch (error) {
+        console.error("Verify invitation error:", error);
+        res.status(500).send({ error: "Failed to verify invitation" });
+      }
+    });
+
+    // Get user statistics by role (admin only)
+    app.get(
+      "/users/stats",
+      verifyToken,
+      requirePermission("users:read"),
+      async (req, res) => {
+        try {
+          const stats = await userCollection
+            .aggregate([
+              {
+                $group: {
+                  _id: "$role",
+                  count: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray();
+
+          const statusStats = await userCollection
+            .aggregate([
+              {
+                $group: {
+                  _id: "$status",
+                  count: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray();
+
+          const totalUsers = await userCollection.countDocuments();
+
+          res.send({
+            totalUsers,
+            roleStats: stats,
+            statusStats: statusStats,
+          });
+        } catch (error) {
+          console.error("Stats error:", error);
+          res.status(500).send({ error: "Failed to fetch user statistics" });
+        }
+      }
+    );
+
+    //Request Collection
+
+    // Build a new request from validated fields plus server-controlled ones
+    const buildBloodRequest = async (req, fields) => {
+      const requester = await userCollection.findOne(
+        { email: req.decodedEmail },
+        { projection: { name: 1, email: 1 } }
+      );
+
+      return {
+        ...fields,
+        neededBy: computeNeededBy(fields.donation_date, fields.donation_time),
+        requesterName: requester?.name || "",
+        requesterEmail: req.decodedEmail.toLowerCase(),
+        donation_status: "pending",
+        pledges: [],
+        unitsPledged: 0,
+        isEmergency: false,
+        priority: "normal",
+        verified: false,
+        verificationStatus: "unverified",
+        duplicateKey: requestDuplicateKey(fields),
+        hidden: false,
+        reportCount: 0,
+        pendingReports: 0,
+        statusHistory: [
+          statusEntry(null, "pending", req.decodedEmail, "requester"),
+        ],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+    };
+
+    // Move a request to a new status and record it in statusHistory.
+    // Only succeeds if the status is still what the caller saw, so two
+    // concurrent transitions cannot both win. Closing a request settles its
+    // outstanding pledges: they count as donated if it is done and are
+    // released otherwise. Returns the updated request or null on a conflict.
+    const transitionRequest = (
+      request,
+      to,
+      { by, actor, note, set = {}, match = {} }
+    ) => {
+      const now = new Date();
+      const settle =
+        !OPEN_REQUEST_STATUSES.includes(to) &&
+        (request.pledges || []).some((p) => p.status === "pledged");
+      const settled = to === "done" ? "donated" : "canceled";
+
+      return requestCollection.findOneAndUpdate(
+        {
+          _id: request._id,
+          donation_status: request.donation_status,
+          ...match,
+        },
+        {
+          $set: {
+            ...set,
+            ...(settle && {
+              "pledges.$[open].status": settled,
+              "pledges.$[open].updatedAt": now,
+              ...(settled === "donated" && {
+                "pledges.$[open].donatedAt": now,
+              }),
+            }),
+            donation_status: to,
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: statusEntry(
+              request.donation_status,
+              to,
+              by,
+              actor,
+              note
+            ),
+          },
+        },
+        {
+          returnDocument: "after",
+          ...(settle && { arrayFilters: [{ "open.status": "pledged" }] }),
+        }
+      );
+    };
+
+    // After donating, donors are unavailable until they are eligible again
+    // (donors who opted out entirely are left alone)
+    const markDonorsRecovering = async (emails, donatedAt = new Date()) => {
+      if (emails.length === 0) return;
+      await userCollection.updateMany(
+        {
+          email: { $in: emails },
+          "availability.status": { $ne: "not_available" },
+        },
+        {
+          $set: {
+            availability: {
+              status: "unavailable",
+              until: new Date(donatedAt.getTime() + ELIGIBILITY_DAYS * DAY_MS),
+              reason: "post_donation",
+              updatedAt: new Date(),
+            },
+          },
+        }
+      );
+    };
+
+    // Reopen a request whose last active pledge was released
+    const reopenIfUnpledged = async (request, note) => {
+      const stillPledged = (request.pledges || []).some((p) =>
+        ACTIVE_PLEDGE_STATUSES.includes(p.status)
+      );
+      if (
+        stillPledged ||
+        !REQUEST_TRANSITIONS[request.donation_status]?.pending
+      ) {
+        return request;
+      }
+
+      const reopened = await transitionRequest(request, "pending", {
+        by: "system",
+        actor: "system",
+        note,
+        match: { unitsPledged: 0 },
+      });
+      return reopened || request;
+    };
+
+    // Details of an existing request shown to someone re-posting it
+    const DUPLICATE_REQUEST_FIELDS = {
+      recipientName: 1,
+      hospital: 1,
+      district: 1,
+      upazila: 1,
+      blood_group: 1,
+      component: 1,
+      unitsNeeded: 1,
+      unitsPledged: 1,
+      donation_status: 1,
+      neededBy: 1,
+      verified: 1,
+      createdAt: 1,
+    };
+
+    // An open request for the same patient, hospital and blood group
+    // posted recently (see DUPLICATE_WINDOW_HOURS), if any
+    const findDuplicateRequest = (data) =>
+      requestCollection.findOne(
+        {
+          duplicateKey: data.duplicateKey,
+          donation_status: { $in: OPEN_REQUEST_STATUSES },
+          hidden: { $ne: true },
+          createdAt: {
+            $gte: new Date(
+              Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000
+            ),
+          },
+        },
+        { projection: DUPLICATE_REQUEST_FIELDS }
+      );
+
+    // Response for a create that matched an existing request. Only public
+    // details are shared; the existing request may belong to someone else.
+    const sendDuplicate = (res, existing, extra = {}) =>
+      res.send({
+        acknowledged: true,
+        insertedId: existing._id,
+        duplicate: true,
+        message: "This request has already been posted",
+        request: existing,
+        ...extra,
+      });
+
+    app.post("/requests", verifyToken, async (req, res) => {
+      try {
+        const { value, errors } = validateBloodRequest(req.body);
+        if (errors) {
+          return sendValidationError(res, errors);
+        }
+
+        const data = await buildBloodRequest(req, value);
+        const duplicate = await findDuplicateRequest(data);
+        if (duplicate) {
+          return sendDuplicate(res, duplicate);
+        }
+
+        const result = await requestCollection.insertOne(data);
+        res.send(result);
+      } catch (error) {
+        console.error("Create request error:", error);
+        res.status(500).send({ error: "Failed to create request" });
+      }
+    });
+
+    app.get("/my-request", verifyToken, async (req, res) => {
+      try {
+        const email = req.decodedEmail;
+
+        // Page numbers here have always been zero-based
+        const paging = parsePagination(req.query, { firstPage: 0 });
+        if (paging.error) {
+          return res.status(400).send({ error: paging.error });
+        }
+
+        const query = { requesterEmail: email };
+
+        const [result, totalRequest] = await Promise.all([
+          fetchPage(
+            requestCollection,
+            { stages: [{ $match: query }], sort: { createdAt: -1 } },
+            paging
+          ),
+          paging.includeTotal ? requestCollection.countDocuments(query) : null,
+        ]);
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
+        }
+
+        res.send({
+          request: result.items,
+          ...(totalRequest !== null && {
+            totalRequest,
+            totalPages: Math.ceil(totalRequest / paging.size),
+          }),
+          ...(!paging.cursor && { page: paging.skip / paging.size }),
+          size: paging.size,
+          ...result.cursors,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch requests" });
+      }
+    });
+
+    app.put("/requests/:id", verifyToken, async (req, res) => {
+      const { id } = req.params;
+      const email = req.decodedEmail;
+
+      // Only schema fields can be edited; server-controlled ones are dropped
+      const { value: updateData, errors } = validateBloodRequest(req.body, {
+        partial: true,
+      });
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+
+      try {
+        const timeChanged =
+          updateData.donation_date || updateData.donation_time;
+        // A document only vouches for the patient, hospital and blood group
+        // it was reviewed with, so changing any of them drops verification
+        const detailsChanged = (existing) =>
+          ["recipientName", "hospital", "blood_group"].some(
+            (field) =>
+              updateData[field] !== undefined &&
+              updateData[field] !== existing[field]
+          );
+        let resetVerification = false;
+        let outdatedDocuments = false;
+        const identityChanged =
+          updateData.recipientName ||
+          updateData.hospital ||
+          updateData.blood_group;
+        if (timeChanged || identityChanged) {
+          const existing = await requestCollection.findOne(
+            { _id: new ObjectId(id), requesterEmail: email },
+            {
+              projection: {
+                donation_date: 1,
+                donation_time: 1,
+                recipientName: 1,
+                hospital: 1,
+                blood_group: 1,
+                verificationStatus: 1,
+                "documents.status": 1,
+              },
+            }
+          );
+          if (existing && timeChanged) {
+            updateData.neededBy = computeNeededBy(
+              updateData.donation_date || existing.donation_date,
+              updateData.donation_time || existing.donation_time
+            );
+          }
+          if (existing && identityChanged) {
+            updateData.duplicateKey = requestDuplicateKey({
+              ...existing,
+              ...updateData,
+            });
+          }
+          if (existing && detailsChanged(existing)) {
+            resetVerification = true;
+            outdatedDocuments = (existing.documents || []).some((d) =>
+              ["pending", "approved"].includes(d.status)
+            );
+          }
+        }
+
+        // Units already pledged cannot be taken away from donors
+        const unitsFilter =
+          updateData.unitsNeeded === undefined
+            ? {}
+            : { unitsPledged: { $not: { $gt: updateData.unitsNeeded } } };
+
+        const result = await requestCollection.updateOne(
+          { _id: new ObjectId(id), requesterEmail: email, ...unitsFilter },
+          {
+            $set: {
+              ...updateData,
+              ...(resetVerification && {
+                verified: false,
+                verificationStatus: "unverified",
+              }),
+              ...(outdatedDocuments && {
+                "documents.$[current].status": "outdated",
+              }),
+              updatedAt: new Date(),
+            },
+            ...(resetVerification && {
+              $unset: { verifiedAt: "", verifiedBy: "" },
+            }),
+          },
+          outdatedDocuments
+            ? {
+                arrayFilters: [
+                  { "current.status": { $in: ["pending", "approved"] } },
+                ],
+              }
+            : {}
+        );
+
+        if (result.matchedCount === 0) {
+          const own = await requestCollection.findOne(
+            { _id: new ObjectId(id), requesterEmail: email },
+            { projection: { unitsPledged: 1 } }
+          );
+          if (own) {
+            return sendValidationError(res, {
+              unitsNeeded: `cannot be less than the ${own.unitsPledged} units already pledged`,
+            });
+          }
+          return res
+            .status(403)
+            .send({ error: "You can only edit your own requests" });
+        }
+
+        res.send({
+          success: true,
+          message: "Request updated successfully",
+          ...(resetVerification && { verificationReset: true }),
+        });
+      } catch (error) {
+        console.error("Edit request error:", error);
+        res.status(500).send({ error: "Failed to update request" });
+      }
+    });
+
+    app.delete("/requests/:id", verifyToken, async (req, res) => {
+      const { id } = req.params;
+      const email = req.decodedEmail;
+      const deleted = await requestCollection.findOneAndDelete({
+        _id: new ObjectId(id),
+        requesterEmail: email,
+      });
+      if (!deleted) {
+        return res.status(403).send({ error: "Not your request or not found" });
+      }
+      removeDocumentFiles(deleted.documents);
+      await requestUpdateCollection.deleteMany({ requestId: deleted._id });
+      res.send({ success: true });
+    });
+
+    //funding collection
+    app.post("/create-payment-checkout", async (req, res) => {
+      const information = req.body;
+      const amount = parseInt(information.donateAmount) * 100;
+
+      const session = await stripe.checkout.sessions.create({
+        line_items: [
+          {
+            price_data: {
+              currency: "usd",
+              unit_amount: amount,
+              product_data: {
+                name: "please support us",
+              },
+            },
+
+            quantity: 1,
+          },
+        ],
+        mode: "payment",
+        metadata: {
+          donorName: information?.donorName,
+        },
+        customer_email: information?.donorEmail,
+        success_url: `${
+          process.env.SITE_DOMAIN || "http://localhost:5173"
+        }/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${
+          process.env.SITE_DOMAIN || "http://localhost:5173"
+        }/payment-failed`,
+      });
+
+      res.send({ url: session.url });
+    });
+
+    app.post("/payment-success", async (req, res) => {
+      const { session_id } = req.query;
+      const session = await stripe.checkout.sessions.retrieve(session_id);
+      session_id;
+      console.log(session);
+
+      const transactionId = session.payment_intent;
+
+      if (session.payment_status === "paid") {
+        const paymentInfo = {
+          amount: session.amount_total / 100,
+          currency: session.currency,
+          donorEmail: session.customer_email,
+          donorName: session.metadata.donorName,
+          transactionId: transactionId,
+          createdAt: new Date(),
+        };
+        const result = await paymentCollection.insertOne(paymentInfo);
+        return res.send(result);
+      }
+    });
+
+    //Get payment records with pagination
+    app.get(
+      "/payment-records",
+      verifyToken,
+      requirePermission("payments:read"),
+      async (req, res) => {
+        const paging = parsePagination(req.query, { defaultSize: 8 });
+        if (paging.error) {
+          return res.status(400).send({ error: paging.error });
+        }
+
+        const [result, total] = await Promise.all([
+          fetchPage(
+            paymentCollection,
+            { stages: [], sort: { createdAt: -1 } },
+            paging
+          ),
+          paging.includeTotal ? paymentCollection.countDocuments() : null,
+        ]);
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
+        }
+
+        res.json({
+          donations: result.items,
+          ...(total !== null && {
+            total,
+            totalPages: Math.ceil(total / paging.size),
+          }),
+          ...(!paging.cursor && { page: paging.skip / paging.size + 1 }),
+          size: paging.size,
+          ...result.cursors,
+        });
+      }
+    );
+
+    // Simplified Stats for Admin
+    app.get(
+      "/admin-stats",
+      verifyToken,
+      requirePermission("stats:read"),
+      async (req, res) => {
+        try {
+          const usersCount = await userCollection.countDocuments();
+          const requestsCount = await requestCollection.countDocuments();
+          const fundingResult = await paymentCollection
+            .aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }])
+            .toArray();
+
+          res.send({
+            totalUsers: usersCount,
+            totalRequests: requestsCount,
+            totalFunding: fundingResult[0]?.total || 0,
+          });
+        } catch (err) {
+          res.status(500).send({ error: "Failed to fetch stats" });
+        }
+      }
+    );
+
+    // Public donation request search - standardized
+    app.get("/donation-request", async (req, res) => {
+      try {
+        const { status, blood_group, district, upazila, q } = req.query;
+
+        const near = parseNearQuery(req.query);
+        if (near?.error) {
+          return res.status(400).send({ error: near.error });
+        }
+
+        const search = typeof q === "string" ? q.trim() : "";
+        const sort = req.query.sort || (search ? "relevance" : "newest");
+        if (!REQUEST_SORTS[sort]) {
+          return res.status(400).send({
+            error: `sort must be one of: ${Object.keys(REQUEST_SORTS).join(
+              ", "
+            )}`,
+          });
+        }
+        if (sort === "distance" && !near) {
+          return res
+            .status(400)
+            .send({ error: "sort=distance requires near=latitude,longitude" });
+        }
+        if (sort === "distance" && search) {
+          return res
+            .status(400)
+            .send({ error: "sort=distance cannot be combined with q" });
+        }
+        if (sort === "relevance" && !search) {
+          return res.status(400).send({ error: "sort=relevance requires q" });
+        }
+
+        const neededBy = parseDateRange(
+          req.query.neededByFrom,
+          req.query.neededByTo,
+          "neededBy"
+        );
+        const createdAt = parseDateRange(
+          req.query.createdFrom,
+          req.query.createdTo,
+          "created"
+        );
+        const rangeError = neededBy?.error || createdAt?.error;
+        if (rangeError) {
+          return res.status(400).send({ error: rangeError });
+        }
+
+        // "open" means still accepting pledges, whatever the exact status
+        const query =
+          status === "open" ? openRequestQuery() : { hidden: { $ne: true } };
+        if (status && status !== "open") query.donation_status = status;
+        if (blood_group) query.blood_group = blood_group;
+        if (district) query.district = district;
+        if (upazila) query.upazila = upazila;
+        if (req.query.verified === "true") query.verified = true;
+        if (req.query.emergency === "true") query.isEmergency = true;
+        if (neededBy) query.neededBy = neededBy.range;
+        if (createdAt) query.createdAt = createdAt.range;
+        if (search) query.$text = { $search: search };
+
+        // The filters plus the search radius, for counting matches
+        const matchQuery = near
+          ? { ...query, ...withinRadiusQuery(near) }
+          : query;
+
+        if (req.query.field === "count") {
+          const count = await requestCollection.countDocuments(matchQuery);
+          return res.json({ count });
+        }
+
+        const paging = parsePagination(req.query, { defaultSize: 8 });
+        if (paging.error) {
+          return res.status(400).send({ error: paging.error });
+        }
+
+        // $geoNear has to come first and does its own radius filtering
+        const stages = [
+          sort === "distance"
+            ? {
+                $geoNear: {
+                  near: near.point,
+                  distanceField: "distanceMeters",
+                  maxDistance: near.radiusKm * 1000,
+                  spherical: true,
+                  query,
+                },
+              }
+            : { $match: matchQuery },
+          ...(REQUEST_SORT_FIELDS[sort]
+            ? [{ $addFields: REQUEST_SORT_FIELDS[sort] }]
+            : []),
+        ];
+
+        const [result, total] = await Promise.all([
+          fetchPage(
+            requestCollection,
+            {
+              stages,
+              sort: REQUEST_SORTS[sort],
+              projection: PUBLIC_REQUEST_PROJECTION,
+              computed: [
+                "distanceMeters",
+                ...Object.keys(REQUEST_SORT_FIELDS[sort] || {}),
+              ],
+            },
+            paging
+          ),
+          paging.includeTotal
+            ? requestCollection.countDocuments(matchQuery)
+            : null,
+        ]);
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
+        }
+
+        res.send({
+          requests: near
+            ? result.items.map((request) => ({
+                ...request,
+                distanceKm: distanceKmFrom(near.point, request),
+              }))
+            : result.items,
+          ...(total !== null && {
+            total,
+            totalRequests: total, // For compatibility
+            totalPages: Math.ceil(total / paging.size),
+          }),
+          ...(!paging.cursor && { page: paging.skip / paging.size + 1 }),
+          size: paging.size,
+          sort,
+          ...result.cursors,
+        });
+      } catch (err) {
+        console.error("Donation requests error:", err);
+        res.status(500).send({ error: "Failed to fetch requests" });
+      }
+    });
+
+    // 2. Total funding summary
+    app.get("/funding/summary", verifyToken, async (req, res) => {
+      const total = await paymentCollection
+        .aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }])
+        .toArray();
+      res.json({ total: total[0]?.total || 0 });
+    });
+
+    // A donor pledges one unit to an open request; the donor is always
+    // the caller. The first pledge moves the request to "matched".
+    app.patch("/donation-request/:id/donate", verifyToken, async (req, res) => {
+      try {
+        const [request, user] = await Promise.all([
+          requestCollection.findOne({ _id: new ObjectId(req.params.id) }),
+          userCollection.findOne(
+            { email: req.decodedEmail },
+            { projection: { password: 0 } }
+          ),
+        ]);
+
+        if (!request) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+
+        const actors = requestActorsFor(request, user);
+        if (actors.includes("requester")) {
+          return res
+            .status(403)
+            .send({ error: "You cannot donate to your own request" });
+        }
+        if (actors.includes("donor")) {
+          return res
+            .status(409)
+            .send({ error: "You have already pledged to this request" });
+        }
+
+        const now = new Date();
+        const pledge = {
+          _id: new ObjectId(),
+          donorName: user.name,
+          donorEmail: user.email,
+          status: "pledged",
+          pledgedAt: now,
+          holdExpiresAt: new Date(
+            now.getTime() + CLAIM_HOLD_HOURS * 60 * 60 * 1000
+          ),
+          checkedInAt: null,
+          updatedAt: now,
+        };
+
+        // Only succeeds while the request is open and short of units
+        let updated = await requestCollection.findOneAndUpdate(
+          openRequestQuery({
+            _id: request._id,
+            pledges: {
+              $not: {
+                $elemMatch: {
+                  donorEmail: user.email,
+                  status: { $in: ACTIVE_PLEDGE_STATUSES },
+                },
+              },
+            },
+          }),
+          {
+            $push: { pledges: pledge },
+            $inc: { unitsPledged: 1 },
+            $set: { updatedAt: now },
+          },
+          { returnDocument: "after" }
+        );
+        if (!updated) {
+          return res
+            .status(409)
+            .send({ error: "This request is no longer open for donors" });
+        }
+
+        if (updated.donation_status === "pending") {
+          updated =
+            (await transitionRequest(updated, "matched", {
+              by: user.email,
+              actor: "claimant",
+              note: req.body?.note,
+            })) || updated;
+        }
+
+        res.send({
+          success: true,
+          message: "Donation confirmed",
+          pledge,
+          fulfillment: pledgeSummary(updated),
+          request: updated,
+        });
+      } catch (error) {
+        console.error("Donation update error:", error);
+        res.status(500).send({ error: "Failed to update donation" });
+      }
+    });
+
+    // Requester or moderator confirms a pledged unit was donated, or
+    // releases it so another donor can take its place
+    app.patch(
+      "/donation-request/:id/pledges/:pledgeId",
+      verifyToken,
+      async (req, res) => {
+        const { status, note } = req.body;
+
+        if (!["donated", "canceled"].includes(status)) {
+          return res
+            .status(400)
+            .send({ error: "Status must be 'donated' or 'canceled'" });
+        }
+
+        try {
+          const [request, user] = await Promise.all([
+            requestCollection.findOne({ _id: new ObjectId(req.params.id) }),
+            userCollection.findOne(
+              { email: req.decodedEmail },
+              { projection: { password: 0 } }
+            ),
+          ]);
+
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+
+          const actors = requestActorsFor(request, user);
+          const actor = ["requester", "moderator"].find((a) =>
+            actors.includes(a)
+          );
+          if (!actor) {
+            return res.status(403).send({
+              error: "Only the requester or a moderator can update pledges",
+            });
+          }
+          if (!OPEN_REQUEST_STATUSES.includes(request.donation_status)) {
+            return res
+              .status(400)
+              .send({ error: "This request is already closed" });
+          }
+
+          const pledge = (request.pledges || []).find(
+            (p) => p._id.toString() === req.params.pledgeId
+          );
+          if (!pledge) {
+            return res.status(404).send({ error: "Pledge not found" });
+          }
+          if (pledge.status !== "pledged") {
+            return res
+              .status(400)
+              .send({ error: `Pledge is already ${pledge.status}` });
+          }
+
+          const now = new Date();
+          let updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              pledges: { $elemMatch: { _id: pledge._id, status: "pledged" } },
+            },
+            {
+              $set: {
+                "pledges.$.status": status,
+                "pledges.$.updatedAt": now,
+                "pledges.$.updatedBy": user.email,
+                ...(status === "donated" && { "pledges.$.donatedAt": now }),
+                ...(typeof note === "string" && {
+                  "pledges.$.note": note.trim().slice(0, 500),
+                }),
+                updatedAt: now,
+              },
+              ...(status === "canceled" && { $inc: { unitsPledged: -1 } }),
+            },
+            { returnDocument: "after" }
+          );
+          if (!updated) {
+            return res.status(409).send({
+              error: "The pledge was updated by someone else, please reload",
+            });
+          }
+
+          if (status === "canceled") {
+            updated = await reopenIfUnpledged(updated, "All pledges released");
+          } else {
+            await markDonorsRecovering([pledge.donorEmail], now);
+          }
+
+          res.send({
+            success: true,
+            fulfillment: pledgeSummary(updated),
+            request: updated,
+          });
+        } catch (error) {
+          console.error("Pledge update error:", error);
+          res.status(500).send({ error: "Failed to update pledge" });
+        }
+      }
+    );
+
+    // A donor backs out of their pledge. The unit is freed (reopening the
+    // request if no one else has pledged), the requester is told and other
+    // matching donors are alerted.
+    app.patch(
+      "/donation-request/:id/withdraw",
+      verifyToken,
+      async (req, res) => {
+        try {
+          const { reason: rawReason } = req.body || {};
+          const reason = typeof rawReason === "string" ? rawReason.trim() : "";
+          if (reason.length < 3 || reason.length > 500) {
+            return sendValidationError(res, {
+              reason: "is required (3–500 characters)",
+            });
+          }
+
+          const request = await requestCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+
+          const pledge = activePledgeFor(request, req.decodedEmail);
+          if (!pledge || pledge.status !== "pledged") {
+            return res
+              .status(400)
+              .send({ error: "You have no open pledge on this request" });
+          }
+          if (!OPEN_REQUEST_STATUSES.includes(request.donation_status)) {
+            return res
+              .status(400)
+              .send({ error: "This request is already closed" });
+          }
+
+          const now = new Date();
+          let updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              pledges: { $elemMatch: { _id: pledge._id, status: "pledged" } },
+            },
+            {
+              $set: {
+                "pledges.$.status": "withdrawn",
+                "pledges.$.withdrawReason": reason,
+                "pledges.$.withdrawnAt": now,
+                "pledges.$.updatedAt": now,
+                updatedAt: now,
+              },
+              $inc: { unitsPledged: -1 },
+            },
+            { returnDocument: "after" }
+          );
+          if (!updated) {
+            return res.status(409).send({
+              error: "The pledge was updated by someone else, please reload",
+            });
+          }
+
+          updated = await reopenIfUnpledged(
+            updated,
+            `Donor withdrew: ${reason}`
+          );
+
+          await userCollection.updateOne(
+            { email: req.decodedEmail },
+            { $inc: { withdrawalCount: 1 }, $set: { lastWithdrawalAt: now } }
+          );
+
+          await notifyRequester(
+            updated,
+            "donor_withdrew",
+            "A donor withdrew",
+            `${pledge.donorName || "A donor"} can no longer donate for ${
+              updated.recipientName
+            }: ${reason}. We are alerting other donors.`
+          );
+
+          const alerted = await alertRecommendedDonors(updated, {
+            title: "Blood Donor Still Needed",
+            message: `A donor dropped out. ${updated.blood_group} blood is still needed in ${updated.district}. Can you help?`,
+          });
+
+          res.send({
+            success: true,
+            fulfillment: pledgeSummary(updated),
+            notifiedDonors: alerted.length,
+            request: updated,
+          });
+        } catch (error) {
+          console.error("Pledge withdrawal error:", error);
+          res.status(500).send({ error: "Failed to withdraw pledge" });
+        }
+      }
+    );
+
+    // The pledged donor confirms they are going ahead, which keeps their
+    // unit past the hold period. The first check-in starts the donation.
+    app.patch(
+      "/donation-request/:id/check-in",
+      verifyToken,
+      async (req, res) => {
+        try {
+          const request = await requestCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+
+          const pledge = activePledgeFor(request, req.decodedEmail);
+          if (!pledge || pledge.status !== "pledged") {
+            return res
+              .status(400)
+              .send({ error: "You have no open pledge on this request" });
+          }
+          if (pledge.checkedInAt) {
+            return res.status(409).send({ error: "Already checked in" });
+          }
+
+          const now = new Date();
+          let updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              pledges: {
+                $elemMatch: {
+                  _id: pledge._id,
+                  status: "pledged",
+                  $or: [
+                    { holdExpiresAt: null },
+                    { holdExpiresAt: { $gt: now } },
+                  ],
+                },
+              },
+            },
+            {
+              $set: {
+                "pledges.$.checkedInAt": now,
+                "pledges.$.holdExpiresAt": null,
+                "pledges.$.updatedAt": now,
+                updatedAt: now,
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!updated) {
+            return res
+              .status(409)
+              .send({ error: "Your hold on this request has expired" });
+          }
+
+          if (updated.donation_status === "matched") {
+            updated =
+              (await transitionRequest(updated, "inprogress", {
+                by: req.decodedEmail,
+                actor: "donor",
+                note: "Donor checked in",
+              })) || updated;
+          }
+
+          res.send({ success: true, request: updated });
+        } catch (error) {
+          console.error("Check-in error:", error);
+          res.status(500).send({ error: "Failed to check in" });
+        }
+      }
+    );
+
+    // Move a request through its lifecycle (see REQUEST_TRANSITIONS)
+    app.patch(
+      "/donation-request/:id/update-status",
+      verifyToken,
+      async (req, res) => {
+        const { donation_status, note } = req.body;
+
+        if (!REQUEST_STATUSES.includes(donation_status)) {
+          return res.status(400).send({ error: "Invalid status" });
+        }
+
+        try {
+          const [request, user] = await Promise.all([
+            requestCollection.findOne({ _id: new ObjectId(req.params.id) }),
+            userCollection.findOne(
+              { email: req.decodedEmail },
+              { projection: { password: 0 } }
+            ),
+          ]);
+
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+
+          const from = request.donation_status;
+          if (!REQUEST_TRANSITIONS[from]?.[donation_status]) {
+            return res.status(400).send({
+              error: `Cannot change status from '${from}' to '${donation_status}'`,
+            });
+          }
+
+          // Claimants only match a request by pledging to it (/donate),
+          // which records the pledge and its unit
+          const actor = transitionActor(
+            request,
+            donation_status,
+            requestActorsFor(request, user).filter(
+              (role) => role !== "claimant"
+            )
+          );
+          if (!actor) {
+            return res.status(403).send({
+              error: "You are not allowed to make this status change",
+            });
+          }
+
+          const updated = await transitionRequest(request, donation_status, {
+            by: user.email,
+            actor,
+            note,
+          });
+          if (!updated) {
+            return res.status(409).send({
+              error: "The request was updated by someone else, please reload",
+            });
+          }
+
+          if (donation_status === "done") {
+            const donors = (request.pledges || [])
+              .filter((p) => p.status === "pledged")
+              .map((p) => p.donorEmail);
+            if (!request.pledges && request.donorEmail) {
+              donors.push(request.donorEmail);
+            }
+            await markDonorsRecovering(donors);
+          }
+
+          res.send({ success: true, request: updated });
+        } catch (error) {
+          console.error("Status update error:", error);
+          res.status(500).send({ error: "Failed to update status" });
+        }
+      }
+    );
+
+    app.get("/donation-request/:id", verifyToken, async (req, res) => {
+      try {
+        const result = await requestCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+
+        if (!result) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+
+        // Hospital documents are only shown to the requester and moderators,
+        // reports only to moderators. Hidden requests are not shown publicly.
+        const user = await userCollection.findOne({ email: req.decodedEmail });
+        const { documents, reports, ...request } = result;
+        const isModerator = hasPermission(user, "requests:moderate");
+        const canSeeDocuments =
+          result.requesterEmail === req.decodedEmail || isModerator;
+        if (result.hidden && !canSeeDocuments) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+
+        // Status changes and the latest updates the caller can read, in
+        // time order. The full list is at /requests/:id/updates.
+        const updates = user
+          ? await requestUpdateCollection
+              .find(visibleUpdatesQuery(result, user))
+              .sort({ createdAt: -1 })
+              .limit(TIMELINE_UPDATES_LIMIT)
+              .toArray()
+          : [];
+        const timeline = [
+          ...(result.statusHistory || []).map((entry) => ({
+            type: "status",
+            ...entry,
+          })),
+          ...updates.map((entry) => ({
+            type: "update",
+            ...formatUpdate(entry, user),
+            at: entry.createdAt,
+          })),
+        ].sort((a, b) => a.at - b.at);
+
+        res.send({
+          ...request,
+          ...(canSeeDocuments && { documents: documents || [] }),
+          ...(isModerator && { reports: reports || [] }),
+          pledges: result.pledges || [],
+          fulfillment: pledgeSummary(result),
+          statusHistory: result.statusHistory || [],
+          timeline,
+        });
+      } catch (error) {
+        console.error("Fetch request error:", error);
+        res.status(500).send({ error: "Failed to fetch request" });
+      }
+    });
+
+    // ============ REQUEST VERIFICATION ============
+    // Requesters upload a requisition slip or doctor's note; moderators
+    // approve or reject it, which sets the request's `verified` flag.
+    const DOCUMENT_KINDS = ["requisition_slip", "doctor_note"];
+    const DOCUMENT_MIME_TYPES = {
+      "application/pdf": ".pdf",
+      "image/jpeg": ".jpg",
+      "image/png": ".png",
+    };
+    const documentDir = path.resolve(UPLOAD_DIR, "request-documents");
+    try {
+      fs.mkdirSync(documentDir, { recursive: true });
+    } catch (error) {
+      // e.g. a read-only serverless filesystem; uploads will fail cleanly
+      console.error("Upload directory error:", error.message);
+    }
+
+    const uploadDocument = multer({
+      storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, documentDir),
+        filename: (req, file, cb) =>
+          cb(
+            null,
+            crypto.randomBytes(16).toString("hex") +
+              DOCUMENT_MIME_TYPES[file.mimetype]
+          ),
+      }),
+      limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+      fileFilter: (req, file, cb) =>
+        cb(null, !!DOCUMENT_MIME_TYPES[file.mimetype]),
+    }).single("document");
+
+    // The declared type comes from the client, so check the file itself
+    const FILE_SIGNATURES = {
+      "application/pdf": Buffer.from("%PDF"),
+      "image/jpeg": Buffer.from([0xff, 0xd8, 0xff]),
+      "image/png": Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+    };
+    const matchesSignature = async (file) => {
+      const signature = FILE_SIGNATURES[file.mimetype];
+      const handle = await fs.promises.open(file.path, "r");
+      try {
+        const { buffer } = await handle.read(
+          Buffer.alloc(signature.length),
+          0,
+          signature.length,
+          0
+        );
+        return buffer.equals(signature);
+      } finally {
+        await handle.close();
+      }
+    };
+
+    const removeDocumentFiles = (documents = []) => {
+      for (const document of documents) {
+        fs.promises
+          .unlink(path.join(documentDir, document.fileName))
+          .catch(() => {});
+      }
+    };
+
+    // Requester uploads a document (multipart field "document"). `kind`
+    // can be given as ?kind= or as a form field; the form field is only
+    // read once the whole upload has been parsed.
+    app.post("/requests/:id/documents", verifyToken, (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(404).send({ error: "Request not found" });
+      }
+      if (
+        req.query.kind !== undefined &&
+        !DOCUMENT_KINDS.includes(req.query.kind)
+      ) {
+        return res.status(400).send({
+          error: `kind must be one of ${DOCUMENT_KINDS.join(", ")}`,
+        });
+      }
+
+      uploadDocument(req, res, async (uploadError) => {
+        if (uploadError) {
+          return res.status(400).send({
+            error:
+              uploadError.code === "LIMIT_FILE_SIZE"
+                ? `File must be at most ${MAX_UPLOAD_MB} MB`
+                : "Invalid upload",
+          });
+        }
+        if (!req.file) {
+          return res
+            .status(400)
+            .send({ error: "Upload a PDF, JPEG or PNG file as 'document'" });
+        }
+
+        const kind = req.query.kind ?? req.body?.kind ?? "requisition_slip";
+        try {
+          if (!DOCUMENT_KINDS.includes(kind)) {
+            removeDocumentFiles([{ fileName: req.file.filename }]);
+            return res.status(400).send({
+              error: `kind must be one of ${DOCUMENT_KINDS.join(", ")}`,
+            });
+          }
+          if (!(await matchesSignature(req.file))) {
+            removeDocumentFiles([{ fileName: req.file.filename }]);
+            return res
+              .status(400)
+              .send({ error: "File content does not match its type" });
+          }
+
+          const document = {
+            _id: new ObjectId(),
+            kind,
+            originalName: req.file.originalname.slice(0, 200),
+            fileName: req.file.filename,
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            status: "pending",
+            uploadedBy: req.decodedEmail,
+            uploadedAt: new Date(),
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewNote: null,
+          };
+
+          // A new document puts the request back in the queue unless it
+          // is already verified
+          const result = await requestCollection.updateOne(
+            {
+              _id: new ObjectId(req.params.id),
+              requesterEmail: req.decodedEmail,
+            },
+            [
+              {
+                $set: {
+                  documents: {
+                    $concatArrays: [
+                      { $ifNull: ["$documents", []] },
+                      [document],
+                    ],
+                  },
+                  verificationStatus: {
+                    $cond: [
+                      { $eq: ["$verified", true] },
+                      "verified",
+                      "pending",
+                    ],
+                  },
+                  updatedAt: new Date(),
+                },
+              },
+            ]
+          );
+
+          if (result.matchedCount === 0) {
+            removeDocumentFiles([document]);
+            return res.status(403).send({
+              error: "You can only add documents to your own requests",
+            });
+          }
+
+          res.status(201).send({ success: true, document });
+        } catch (error) {
+          removeDocumentFiles([{ fileName: req.file.filename }]);
+          console.error("Document upload error:", error);
+          res.status(500).send({ error: "Failed to upload document" });
+        }
+      });
+    });
+
+    // Download a document (requester and moderators only)
+    app.get(
+      "/requests/:id/documents/:documentId",
+      verifyToken,
+      async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+
+        try {
+          const [request, user] = await Promise.all([
+            requestCollection.findOne(
+              { _id: new ObjectId(req.params.id) },
+              { projection: { requesterEmail: 1, documents: 1 } }
+            ),
+            userCollection.findOne({ email: req.decodedEmail }),
+          ]);
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+          if (
+            request.requesterEmail !== req.decodedEmail &&
+            !hasPermission(user, "requests:moderate")
+          ) {
+            return res.status(403).send({ error: "Not authorized" });
+          }
+
+          const document = (request.documents || []).find(
+            (d) => d._id.toString() === req.params.documentId
+          );
+          if (!document) {
+            return res.status(404).send({ error: "Document not found" });
+          }
+
+          res.download(
+            path.join(documentDir, document.fileName),
+            document.originalName
+          );
+        } catch (error) {
+          console.error("Document download error:", error);
+          res.status(500).send({ error: "Failed to fetch document" });
+        }
+      }
+    );
+
+    // Requests with documents waiting for review, oldest first
+    app.get(
+      "/requests/verification-queue",
+      verifyToken,
+      requirePermission("requests:moderate"),
+      async (req, res) => {
+        try {
+          const { page, size, skip } = parsePageNumber(req.query, {
+            sizeParam: "limit",
+            defaultSize: 20,
+          });
+          const query = { "documents.status": "pending" };
+
+          const [requests, total] = await Promise.all([
+            requestCollection
+              .find(query)
+              .sort({ updatedAt: 1 })
+              .skip(skip)
+              .limit(size)
+              .toArray(),
+            requestCollection.countDocuments(query),
+          ]);
+
+          res.send({
+            requests,
+            total,
+            page,
+            pages: Math.ceil(total / size),
+          });
+        } catch (error) {
+          console.error("Verification queue error:", error);
+          res.status(500).send({ error: "Failed to fetch verification queue" });
+        }
+      }
+    );
+
+    // Approve or reject a document. An approved document verifies the
+    // request; it stays verified while any approved document remains.
+    app.patch(
+      "/requests/:id/documents/:documentId/review",
+      verifyToken,
+      requirePermission("requests:moderate"),
+      checkDemoAdmin,
+      async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).send({ error: "Document not found" });
+        }
+
+        const { decision, note } = req.body;
+        if (!["approved", "rejected"].includes(decision)) {
+          return res
+            .status(400)
+            .send({ error: "decision must be 'approved' or 'rejected'" });
+        }
+
+        try {
+          const request = await requestCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          const document = (request?.documents || []).find(
+            (d) => d._id.toString() === req.params.documentId
+          );
+          if (!document) {
+            return res.status(404).send({ error: "Document not found" });
+          }
+          if (document.status !== "pending") {
+            return res
+              .status(409)
+              .send({ error: `Document is already ${document.status}` });
+          }
+
+          const otherApproved = request.documents.some(
+            (d) => d.status === "approved" && !d._id.equals(document._id)
+          );
+          const verified = decision === "approved" || otherApproved;
+          const stillPending = request.documents.some(
+            (d) => d.status === "pending" && !d._id.equals(document._id)
+          );
+          const now = new Date();
+
+          const updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              documents: {
+                $elemMatch: { _id: document._id, status: "pending" },
+              },
+            },
+            {
+              $set: {
+                "documents.$.status": decision,
+                "documents.$.reviewedBy": req.decodedEmail,
+                "documents.$.reviewedAt": now,
+                "documents.$.reviewNote":
+                  typeof note === "string" ? note.trim().slice(0, 500) : null,
+                verified,
+                verificationStatus: verified
+                  ? "verified"
+                  : stillPending
+                  ? "pending"
+                  : "rejected",
+                ...(decision === "approved" &&
+                  !request.verified && {
+                    verifiedAt: now,
+                    verifiedBy: req.decodedEmail,
+                  }),
+                updatedAt: now,
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!updated) {
+            return res.status(409).send({
+              error: "The document was reviewed by someone else, please reload",
+            });
+          }
+
+          await recordAudit(req, {
+            action: `request.document_${decision}`,
+            targetType: "request",
+            targetId: request._id,
+            before: { verified: request.verified || false },
+            after: { verified },
+            metadata: { documentId: document._id, kind: document.kind },
+          });
+
+          await notifyRequester(
+            updated,
+            decision === "approved" ? "request_verified" : "document_rejected",
+            decision === "approved"
+              ? "Your request is verified"
+              : "Your document was not accepted",
+            decision === "approved"
+              ? `Your request for ${updated.recipientName} is now marked as hospital-verified.`
+              : `The document you uploaded for ${
+                  updated.recipientName
+                } was rejected${
+                  note ? `: ${note}` : ""
+                }. You can upload another one.`
+          );
+
+          res.send({
+            success: true,
+            verified: updated.verified,
+            verificationStatus: updated.verificationStatus,
+          });
+        } catch (error) {
+          console.error("Document review error:", error);
+          res.status(500).send({ error: "Failed to review document" });
+        }
+      }
+    );
+
+    // ============ REPORTS & MODERATION ============
+    // Anyone signed in can report a request once. Moderators work through
+    // reported requests and can hide, restore or merge duplicates.
+    app.post("/requests/:id/report", verifyToken, async (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(404).send({ error: "Request not found" });
+      }
+
+      const { reason, details } = req.body;
+      if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).send({
+          error: `reason must be one of: ${REPORT_REASONS.join(", ")}`,
+        });
+      }
+
+      try {
+        const request = await requestCollection.findOne(
+          { _id: new ObjectId(req.params.id), hidden: { $ne: true } },
+          { projection: { requesterEmail: 1 } }
+        );
+        if (!request) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+        if (request.requesterEmail === req.decodedEmail) {
+          return res
+            .status(400)
+            .send({ error: "You cannot report your own request" });
+        }
+
+        const result = await requestCollection.updateOne(
+          {
+            _id: request._id,
+            "reports.reporterEmail": { $ne: req.decodedEmail },
+          },
+          {
+            $push: {
+              reports: {
+                _id: new ObjectId(),
+                reporterEmail: req.decodedEmail,
+                reason,
+                details:
+                  typeof details === "string"
+                    ? details.trim().slice(0, 1000)
+                    : null,
+                createdAt: new Date(),
+              },
+            },
+            $inc: { reportCount: 1, pendingReports: 1 },
+          }
+        );
+        if (result.modifiedCount === 0) {
+          return res
+            .status(409)
+            .send({ error: "You have already reported this request" });
+        }
+
+        res.status(201).send({ success: true });
+      } catch (error) {
+        console.error("Report request error:", error);
+        res.status(500).send({ error: "Failed to report request" });
+      }
+    });
+
+    // Reported requests awaiting review (most reported first), or the
+    // requests that are currently hidden
+    app.get(
+      "/requests/moderation-queue",
+      verifyToken,
+      requirePermission("requests:moderate"),
+      async (req, res) => {
+        try {
+          const { state = "reported" } = req.query;
+          if (!["reported", "hidden"].includes(state)) {
+            return res
+              .status(400)
+              .send({ error: "state must be 'reported' or 'hidden'" });
+          }
+
+          const { page, size, skip } = parsePageNumber(req.query, {
+            sizeParam: "limit",
+            defaultSize: 20,
+          });
+          const query =
+            state === "hidden"
+              ? { hidden: true }
+              : { hidden: { $ne: true }, pendingReports: { $gt: 0 } };
+          const sort =
+            state === "hidden"
+              ? { "moderation.at": -1 }
+              : { pendingReports: -1, updatedAt: 1 };
+
+          const [requests, total] = await Promise.all([
+            requestCollection
+              .find(query, { projection: { documents: 0 } })
+              .sort(sort)
+              .skip(skip)
+              .limit(size)
+              .toArray(),
+            requestCollection.countDocuments(query),
+          ]);
+
+          res.send({
+            requests,
+            total,
+            page,
+            pages: Math.ceil(total / size),
+          });
+        } catch (error) {
+          console.error("Moderation queue error:", error);
+          res.status(500).send({ error: "Failed to fetch moderation queue" });
+        }
+      }
+    );
+
+    // Hide, restore or merge a request. Any of these clears the pending
+    // reports. Merging closes the duplicate and points it at the request
+    // that stays, which inherits its notified donors.
+    app.patch(
+      "/requests/:id/moderation",
+      verifyToken,
+      requirePermission("requests:moderate"),
+      checkDemoAdmin,
+      async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).send({ error: "Request not found" });
+        }
+
+        const { action, reason, targetId } = req.body;
+        if (!["hide", "restore", "merge"].includes(action)) {
+          return res
+            .status(400)
+            .send({ error: "action must be 'hide', 'restore' or 'merge'" });
+        }
+        if (action === "merge" && !ObjectId.isValid(targetId)) {
+          return res
+            .status(400)
+            .send({ error: "targetId is required to merge a request" });
+        }
+
+        try {
+          const request = await requestCollection.findOne(
+            { _id: new ObjectId(req.params.id) },
+            { projection: { documents: 0 } }
+          );
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+          if (action === "hide" && request.hidden) {
+            return res.status(409).send({ error: "Request is already hidden" });
+          }
+          if (action === "restore" && !request.hidden) {
+            return res.status(409).send({ error: "Request is not hidden" });
+          }
+          // Merging canceled the duplicate and moved its donors over
+          if (action === "restore" && request.mergedInto) {
+            return res.status(409).send({
+              error: "A merged request cannot be restored",
+              mergedInto: request.mergedInto,
+            });
+          }
+
+          let target = null;
+          if (action === "merge") {
+            if (request.mergedInto) {
+              return res
+                .status(409)
+                .send({ error: "Request has already been merged" });
+            }
+            target = await requestCollection.findOne(
+              { _id: new ObjectId(targetId), hidden: { $ne: true } },
+              { projection: { documents: 0 } }
+            );
+            if (!target || target._id.equals(request._id)) {
+              return res
+                .status(404)
+                .send({ error: "Target request not found" });
+            }
+          }
+
+          const now = new Date();
+          const moderation = {
+            action,
+            reason: typeof reason === "string" ? reason.trim() : null,
+            by: req.decodedEmail,
+            at: now,
+          };
+          const set = {
+            hidden: action !== "restore",
+            pendingReports: 0,
+            moderation,
+            ...(target && { mergedInto: target._id }),
+          };
+
+          // A merged duplicate is closed so its pledges are released
+          let updated = null;
+          if (
+            target &&
+            OPEN_REQUEST_STATUSES.includes(request.donation_status)
+          ) {
+            updated = await transitionRequest(request, "canceled", {
+              by: req.decodedEmail,
+              actor: "moderator",
+              note: `Merged into request ${target._id}`,
+              set,
+              match: { mergedInto: { $exists: false } },
+            });
+          } else {
+            updated = await requestCollection.findOneAndUpdate(
+              {
+                _id: request._id,
+                hidden: request.hidden ? true : { $ne: true },
+                ...(target && { mergedInto: { $exists: false } }),
+              },
+              { $set: { ...set, updatedAt: now } },
+              { returnDocument: "after" }
+            );
+          }
+          if (!updated) {
+            return res.status(409).send({
+              error: "The request changed in the meantime, please reload",
+            });
+          }
+
+          if (target) {
+            await requestCollection.updateOne(
+              { _id: target._id },
+              {
+                $addToSet: {
+                  mergedRequests: request._id,
+                  notifiedDonors: { $each: request.notifiedDonors || [] },
+                },
+                $set: { updatedAt: now },
+              }
+            );
+          }
+
+          await recordAudit(req, {
+            action: `request.${action}`,
+            targetType: "request",
+            targetId: request._id,
+            before: { hidden: request.hidden || false },
+            after: { hidden: updated.hidden },
+            metadata: {
+              reason: moderation.reason,
+              ...(target && { mergedInto: target._id }),
+            },
+          });
+
+          if (action === "hide") {
+            await notifyRequester(
+              updated,
+              "request_hidden",
+              "Your request was hidden",
+              `Your request for ${
+                updated.recipientName
+              } was hidden by a moderator${
+                moderation.reason ? `: ${moderation.reason}` : ""
+              }.`
+            );
+          } else if (action === "restore") {
+            await notifyRequester(
+              updated,
+              "request_restored",
+              "Your request is visible again",
+              `Your request for ${updated.recipientName} has been restored.`
+            );
+          } else {
+            await notifyRequester(
+              updated,
+              "request_merged",
+              "Your request was merged",
+              `Your request for ${updated.recipientName} was posted already, so it has been merged into the existing request.`
+            );
+
+            // Donors who pledged to the duplicate should pledge to the
+            // request that stays instead
+            const donorEmails = (request.pledges || [])
+              .filter((p) => p.status === "pledged")
+              .map((p) => p.donorEmail);
+            if (donorEmails.length > 0) {
+              const donors = await userCollection
+                .find(
+                  { email: { $in: donorEmails } },
+                  { projection: { _id: 1, email: 1 } }
+                )
+                .toArray();
+              await Promise.all(
+                donors.map((donor) =>
+                  createNotification(
+                    donor._id,
+                    donor.email,
+                    "request_merged",
+                    "A request you pledged to was merged",
+                    `The request for ${request.recipientName} was a duplicate. Please pledge to the original request at ${target.hospital} instead.`,
+                    { requestId: target._id, mergedRequestId: request._id }
+                  )
+                )
+              );
+            }
+          }
+
+          res.send({
+            success: true,
+            hidden: updated.hidden,
+            donation_status: updated.donation_status,
+            ...(target && { mergedInto: target._id }),
+          });
+        } catch (error) {
+          console.error("Request moderation error:", error);
+          res.status(500).send({ error: "Failed to moderate request" });
+        }
+      }
+    );
+
+    // ============ REQUEST UPDATES & COMMENTS ============
+    // Load a request and the caller, or send 404 when the id is malformed
+    // or the request is missing or hidden from them
+    const loadRequestForUpdates = async (req, res) => {
+      if (!ObjectId.isValid(req.params.id)) {
+        res.status(404).send({ error: "Request not found" });
+        return {};
+      }
+
+      const [request, user] = await Promise.all([
+        requestCollection.findOne(
+          { _id: new ObjectId(req.params.id) },
+          { projection: { documents: 0, reports: 0 } }
+        ),
+        userCollection.findOne(
+          { email: req.decodedEmail },
+          { projection: { password: 0 } }
+        ),
+      ]);
+      if (
+        !request ||
+        !user ||
+        (request.hidden &&
+          request.requesterEmail !== user.email &&
+          !hasPermission(user, "requests:moderate"))
+      ) {
+        res.status(404).send({ error: "Request not found" });
+        return {};
+      }
+      return { request, user };
+    };
 
-      const total = await paymentCollection.countDocuments();
-      const donations = await paymentCollection
-        .find()
-        .sort({ createdAt: -1 })
-        .skip((page - 1) * size)
-        .limit(size)
+    // Let the people who can read a new entry know about it: donors hear
+    // about requester updates and public notes, requesters about
+    // questions and notes, and authors about public replies to them
+    const notifyRequestUpdate = async (request, entry, repliedTo) => {
+      if (entry.visibility === "moderators") return;
+
+      const recipients = new Set();
+      if (entry.kind !== "question") {
+        (request.pledges || [])
+          .filter((p) => ACTIVE_PLEDGE_STATUSES.includes(p.status))
+          .forEach((p) => recipients.add(p.donorEmail));
+        if (request.donorEmail) recipients.add(request.donorEmail);
+        (request.notifiedDonors || []).forEach((email) =>
+          recipients.add(email)
+        );
+      }
+      if (entry.kind !== "update") recipients.add(request.requesterEmail);
+      if (repliedTo && entry.visibility === "public") {
+        recipients.add(repliedTo.authorEmail);
+      }
+      recipients.delete(entry.authorEmail);
+      if (recipients.size === 0) return;
+
+      const users = await userCollection
+        .find(
+          { email: { $in: [...recipients] } },
+          { projection: { _id: 1, email: 1 } }
+        )
         .toArray();
+      const title =
+        entry.kind === "question"
+          ? `New question on the request for ${request.recipientName}`
+          : `Update on the request for ${request.recipientName}`;
+
+      await Promise.all(
+        users.map((user) =>
+          createNotification(
+            user._id,
+            user.email,
+            entry.kind === "question" ? "request_question" : "request_update",
+            title,
+            entry.message.length > 140
+              ? `${entry.message.slice(0, 137)}...`
+              : entry.message,
+            { requestId: request._id, updateId: entry._id }
+          )
+        )
+      );
+    };
 
-      res.json({
-        donations,
-        total,
-        page,
-        size,
-        totalPages: Math.ceil(total / size),
-      });
-    });
-
-    // Simplified Stats for Admin
-    app.get("/admin-stats", verifyToken, async (req, res) => {
-      try {
-        const usersCount = await userCollection.countDocuments();
-        const requestsCount = await requestCollection.countDocuments();
-        const fundingResult = await paymentCollection
-          .aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }])
-          .toArray();
+    // Post an update (requester), question (anyone else) or note
+    // (moderators), optionally as a reply to an earlier entry
+    app.post("/requests/:id/updates", verifyToken, async (req, res) => {
+      const { kind = "update", message, visibility, replyTo } = req.body;
 
-        res.send({
-          totalUsers: usersCount,
-          totalRequests: requestsCount,
-          totalFunding: fundingResult[0]?.total || 0,
-        });
-      } catch (err) {
-        res.status(500).send({ error: "Failed to fetch stats" });
+      const errors = {};
+      if (!UPDATE_KINDS.includes(kind)) {
+        errors.kind = `must be one of ${UPDATE_KINDS.join(", ")}`;
+      }
+      const text = typeof message === "string" ? message.trim() : "";
+      if (!text) {
+        errors.message = "is required";
+      } else if (text.length > MAX_UPDATE_LENGTH) {
+        errors.message = `must be at most ${MAX_UPDATE_LENGTH} characters`;
+      }
+      const level = visibility ?? DEFAULT_UPDATE_VISIBILITY[kind];
+      if (!UPDATE_VISIBILITIES.includes(level)) {
+        errors.visibility = `must be one of ${UPDATE_VISIBILITIES.join(", ")}`;
+      } else if (level === "moderators" && kind !== "note") {
+        errors.visibility = "only notes can be limited to moderators";
+      }
+      if (replyTo !== undefined && !ObjectId.isValid(replyTo)) {
+        errors.replyTo = "must be an update id";
+      }
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
       }
-    });
 
-    // Public donation request search - standardized
-    app.get("/donation-request", async (req, res) => {
       try {
-        const {
-          status,
-          blood_group,
-          district,
-          upazila,
-          page,
-          size = 8,
-        } = req.query;
+        const { request, user } = await loadRequestForUpdates(req, res);
+        if (!request) return;
 
-        const query = {};
-        if (status) query.donation_status = status;
-        if (blood_group) query.blood_group = blood_group;
-        if (district) query.district = district;
-        if (upazila) query.upazila = upazila;
+        const actors = requestActorsFor(request, user);
+        if (kind === "update" && !actors.includes("requester")) {
+          return res
+            .status(403)
+            .send({ error: "Only the requester can post updates" });
+        }
+        if (kind === "question" && actors.includes("requester")) {
+          return res
+            .status(400)
+            .send({ error: "Post an update to share news on your request" });
+        }
+        if (kind === "note" && !actors.includes("moderator")) {
+          return res
+            .status(403)
+            .send({ error: "Only volunteers and admins can post notes" });
+        }
 
-        if (req.query.field === "count") {
-          const count = await requestCollection.countDocuments();
-          return res.json({ count });
+        let repliedTo = null;
+        if (replyTo) {
+          repliedTo = await requestUpdateCollection.findOne({
+            ...visibleUpdatesQuery(request, user),
+            _id: new ObjectId(replyTo),
+          });
+          if (!repliedTo) {
+            return res
+              .status(404)
+              .send({ error: "The update you replied to was not found" });
+          }
         }
 
-        const pageNum = parseInt(page) || 1;
-        const sizeNum = parseInt(size) || 8;
+        const entry = {
+          requestId: request._id,
+          kind,
+          message: text,
+          visibility: level,
+          authorEmail: user.email,
+          authorName: user.name,
+          authorRole:
+            kind === "note"
+              ? "moderator"
+              : actors[0] === "claimant"
+              ? "user"
+              : actors[0],
+          replyTo: repliedTo?._id || null,
+          createdAt: new Date(),
+        };
+        const result = await requestUpdateCollection.insertOne(entry);
+        entry._id = result.insertedId;
 
-        const total = await requestCollection.countDocuments(query);
-        const requests = await requestCollection
-          .find(query)
-          .sort({ createdAt: -1 })
-          .skip((pageNum - 1) * sizeNum)
-          .limit(sizeNum)
-          .toArray();
+        await notifyRequestUpdate(request, entry, repliedTo);
 
-        res.send({
-          requests,
-          total,
-          totalRequests: total, // For compatibility
-          page: pageNum,
-          size: sizeNum,
-          totalPages: Math.ceil(total / sizeNum),
-        });
-      } catch (err) {
-        console.error("Donation requests error:", err);
-        res.status(500).send({ error: "Failed to fetch requests" });
+        res.status(201).send({ update: formatUpdate(entry, user) });
+      } catch (error) {
+        console.error("Post request update error:", error);
+        res.status(500).send({ error: "Failed to post update" });
       }
     });
 
-    // 2. Total funding summary
-    app.get("/funding/summary", verifyToken, async (req, res) => {
-      const total = await paymentCollection
-        .aggregate([{ $group: { _id: null, total: { $sum: "$amount" } } }])
-        .toArray();
-      res.json({ total: total[0]?.total || 0 });
-    });
-
-    // Update donation status to "inprogress" when user confirms
-    app.patch("/donation-request/:id/donate", verifyToken, async (req, res) => {
-      const { id } = req.params;
-      const { donation_status, donorName, donorEmail } = req.body;
-
-      if (donation_status !== "inprogress") {
-        return res.status(400).send({ error: "Invalid status" });
+    // Entries the caller can read, oldest first, with cursor pagination
+    app.get("/requests/:id/updates", verifyToken, async (req, res) => {
+      const paging = parsePagination(req.query, {
+        sizeParam: "limit",
+        defaultSize: 20,
+      });
+      if (paging.error) {
+        return res.status(400).send({ error: paging.error });
+      }
+      if (req.query.kind && !UPDATE_KINDS.includes(req.query.kind)) {
+        return res
+          .status(400)
+          .send({ error: `kind must be one of: ${UPDATE_KINDS.join(", ")}` });
       }
 
       try {
-        const result = await requestCollection.updateOne(
-          { _id: new ObjectId(id) },
-          {
-            $set: {
-              donation_status: "inprogress",
-              donorName,
-              donorEmail,
-              updatedAt: new Date(),
-            },
-          }
-        );
-
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "Request not found" });
+        const { request, user } = await loadRequestForUpdates(req, res);
+        if (!request) return;
+
+        const query = visibleUpdatesQuery(request, user);
+        if (req.query.kind) query.kind = req.query.kind;
+
+        const [result, total] = await Promise.all([
+          fetchPage(
+            requestUpdateCollection,
+            { stages: [{ $match: query }], sort: { createdAt: 1 } },
+            paging
+          ),
+          paging.includeTotal
+            ? requestUpdateCollection.countDocuments(query)
+            : null,
+        ]);
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
         }
 
-        res.send({ success: true, message: "Donation confirmed" });
+        res.send({
+          updates: result.items.map((entry) => formatUpdate(entry, user)),
+          pagination: paginationInfo(paging, total, result.cursors),
+        });
       } catch (error) {
-        console.error("Donation update error:", error);
-        res.status(500).send({ error: "Failed to update donation" });
+        console.error("Fetch request updates error:", error);
+        res.status(500).send({ error: "Failed to fetch updates" });
       }
     });
 
-    // Update donation status (donor can update from "inprogress" → "done" or "canceled")
-    app.patch(
-      "/donation-request/:id/update-status",
+    // Authors can delete their own entries; moderators can delete any
+    app.delete(
+      "/requests/:id/updates/:updateId",
       verifyToken,
       async (req, res) => {
-        const { id } = req.params;
-        const { donation_status } = req.body;
+        try {
+          const { request, user } = await loadRequestForUpdates(req, res);
+          if (!request) return;
 
-        // Only allow these transitions
-        if (!["done", "canceled"].includes(donation_status)) {
-          return res.status(400).send({ error: "Invalid status" });
-        }
+          if (!ObjectId.isValid(req.params.updateId)) {
+            return res.status(404).send({ error: "Update not found" });
+          }
 
-        try {
-          const result = await requestCollection.updateOne(
-            {
-              _id: new ObjectId(id),
-              donation_status: "inprogress", // only allow from inprogress
-            },
-            { $set: { donation_status, updatedAt: new Date() } }
-          );
+          const entry = await requestUpdateCollection.findOne({
+            _id: new ObjectId(req.params.updateId),
+            requestId: request._id,
+          });
+          if (!entry) {
+            return res.status(404).send({ error: "Update not found" });
+          }
 
-          if (result.matchedCount === 0) {
+          const isAuthor = entry.authorEmail === user.email;
+          if (!isAuthor && !hasPermission(user, "requests:moderate")) {
             return res
-              .status(400)
-              .send({ error: "Can only update from 'inprogress'" });
+              .status(403)
+              .send({ error: "You can only delete your own updates" });
+          }
+
+          await requestUpdateCollection.deleteOne({ _id: entry._id });
+
+          if (!isAuthor) {
+            await recordAudit(req, {
+              action: "request.update_deleted",
+              targetType: "request",
+              targetId: request._id,
+              before: { kind: entry.kind, message: entry.message },
+              metadata: { updateId: entry._id, author: entry.authorEmail },
+              actor: user,
+            });
           }
 
           res.send({ success: true });
         } catch (error) {
-          console.error("Status update error:", error);
-          res.status(500).send({ error: "Failed to update status" });
+          console.error("Delete request update error:", error);
+          res.status(500).send({ error: "Failed to delete update" });
         }
       }
     );
 
-    app.get("/donation-request/:id", verifyToken, async (req, res) => {
-      const id = req.params.id;
-
-      const result = await requestCollection.findOne({
-        _id: new ObjectId(id),
-      });
-
-      res.send(result);
-    });
-
     // Public route for blood request search — NO AUTHENTICATION
 
     // ============ SEED DEMO USERS ENDPOINT ============
-    // Creates demo users for testing (admin, donor, volunteer)
-    app.post("/seed-demo-users", async (req, res) => {
-      try {
-        const saltRounds = 10;
-
-        const demoUsers = [
-          {
-            name: "Admin User",
-            email: "admin@bloodbridge.org",
-            password: await bcrypt.hash("admin123", saltRounds),
-            bloodGroup: "O+",
-            district: "Dhaka",
-            upazila: "Dhanmondi",
-            photoURL: "",
-            role: "admin",
-            status: "active",
-            isDemo: true, // Read-only demo admin
-            createdAt: new Date(),
-          },
-          {
-            name: "Demo Donor",
-            email: "donor@bloodbridge.org",
-            password: await bcrypt.hash("donor123", saltRounds),
-            bloodGroup: "A+",
-            district: "Chittagong",
-            upazila: "Kotwali",
-            photoURL: "",
-            role: "donor",
-            status: "active",
-            isDemo: true,
-            createdAt: new Date(),
-          },
-          {
-            name: "Demo Volunteer",
-            email: "volunteer@bloodbridge.org",
-            password: await bcrypt.hash("volunteer123", saltRounds),
-            bloodGroup: "B+",
-            district: "Sylhet",
-            upazila: "Sylhet Sadar",
-            photoURL: "",
-            role: "volunteer",
-            status: "active",
-            isDemo: true,
-            createdAt: new Date(),
-          },
-        ];
-
-        const results = [];
+    // Creates demo users for testing (admin, donor, volunteer).
+    // Only available with ENABLE_DEMO_SEED=true and to admins, since it
+    // creates an admin account.
+    app.post(
+      "/seed-demo-users",
+      verifyToken,
+      requirePermission("users:manage"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          if (!ENABLE_DEMO_SEED) {
+            return res.status(404).send({ error: "Demo seeding is disabled" });
+          }
 
-        for (const user of demoUsers) {
-          // Check if user already exists
-          const existing = await userCollection.findOne({ email: user.email });
-          if (existing) {
-            // Update existing user to ensure correct password and status
-            await userCollection.updateOne(
-              { email: user.email },
-              {
-                $set: {
-                  password: user.password,
-                  role: user.role,
-                  status: "active",
-                  isDemo: true,
-                  updatedAt: new Date(),
-                },
-              }
-            );
-            results.push({ email: user.email, status: "updated" });
-          } else {
-            await userCollection.insertOne(user);
-            results.push({ email: user.email, status: "created" });
+          if (req.currentUser.role !== "admin") {
+            return res
+              .status(403)
+              .send({ error: "Only admins can seed demo users" });
           }
-        }
 
-        res.send({
-          success: true,
-          message: "Demo users seeded successfully",
-          users: results,
-          credentials: {
-            admin: {
+          const saltRounds = 10;
+
+          const demoUsers = [
+            {
+              name: "Admin User",
               email: "admin@bloodbridge.org",
-              password: "admin123",
-              note: "Read-only",
+              password: await bcrypt.hash("admin123", saltRounds),
+              bloodGroup: "O+",
+              district: "Dhaka",
+              upazila: "Dhanmondi",
+              photoURL: "",
+              role: "admin",
+              status: "active",
+              emailVerified: true,
+              isDemo: true, // Read-only demo admin
+              createdAt: new Date(),
             },
-            donor: { email: "donor@bloodbridge.org", password: "donor123" },
-            volunteer: {
+            {
+              name: "Demo Donor",
+              email: "donor@bloodbridge.org",
+              password: await bcrypt.hash("donor123", saltRounds),
+              bloodGroup: "A+",
+              district: "Chittagong",
+              upazila: "Kotwali",
+              photoURL: "",
+              role: "donor",
+              status: "active",
+              emailVerified: true,
+              isDemo: true,
+              createdAt: new Date(),
+            },
+            {
+              name: "Demo Volunteer",
               email: "volunteer@bloodbridge.org",
-              password: "volunteer123",
+              password: await bcrypt.hash("volunteer123", saltRounds),
+              bloodGroup: "B+",
+              district: "Sylhet",
+              upazila: "Sylhet Sadar",
+              photoURL: "",
+              role: "volunteer",
+              status: "active",
+              emailVerified: true,
+              isDemo: true,
+              createdAt: new Date(),
             },
-          },
-        });
-      } catch (error) {
-        console.error("Seed demo users error:", error);
-        res.status(500).send({ error: "Failed to seed demo users" });
+          ];
+
+          const results = [];
+
+          for (const user of demoUsers) {
+            // Check if user already exists
+            const existing = await userCollection.findOne({
+              email: user.email,
+            });
+            if (existing) {
+              // Update existing user to ensure correct password and status
+              await userCollection.updateOne(
+                { email: user.email },
+                {
+                  $set: {
+                    password: user.password,
+                    role: user.role,
+                    status: "active",
+                    isDemo: true,
+                    updatedAt: new Date(),
+                  },
+                }
+              );
+              results.push({ email: user.email, status: "updated" });
+            } else {
+              await userCollection.insertOne(user);
+              results.push({ email: user.email, status: "created" });
+            }
+          }
+
+          res.send({
+            success: true,
+            message: "Demo users seeded successfully",
+            users: results,
+            credentials: {
+              admin: {
+                email: "admin@bloodbridge.org",
+                password: "admin123",
+                note: "Read-only",
+              },
+              donor: { email: "donor@bloodbridge.org", password: "donor123" },
+              volunteer: {
+                email: "volunteer@bloodbridge.org",
+                password: "volunteer123",
+              },
+            },
+          });
+        } catch (error) {
+          console.error("Seed demo users error:", error);
+          res.status(500).send({ error: "Failed to seed demo users" });
+        }
       }
-    });
+    );
 
     // ============ PUBLIC STATS ENDPOINT ============
     // Returns dynamic statistics for the home page (no auth required)
@@ -1068,13 +6265,16 @@ async function run() {
           status: "active",
         });
 
-        // Count completed donations
-        const donationsCount = await requestCollection.countDocuments({
-          donation_status: "done",
-        });
+        // Count completed donations, one per donated pledge
+        const [donationTotal] = await requestCollection
+          .aggregate([...DONATION_STAGES, { $count: "total" }])
+          .toArray();
+        const donationsCount = donationTotal?.total || 0;
 
-        // Count total blood requests
-        const requestsCount = await requestCollection.countDocuments();
+        // Count total blood requests (hidden ones are spam or duplicates)
+        const requestsCount = await requestCollection.countDocuments({
+          hidden: { $ne: true },
+        });
 
         // Calculate lives saved (each donation can save up to 3 lives)
         const livesSaved = donationsCount * 3;
@@ -1142,26 +6342,35 @@ async function run() {
     app.patch(
       "/testimonials/:id/status",
       verifyToken,
+      requirePermission("testimonials:moderate"),
       checkDemoAdmin,
       async (req, res) => {
         try {
-          const adminUser = await userCollection.findOne({
-            email: req.decodedEmail,
-          });
-          if (adminUser?.role !== "admin") {
-            return res.status(403).send({ error: "Admin access required" });
-          }
-
           const { status } = req.body;
           if (!["approved", "rejected"].includes(status)) {
             return res.status(400).send({ error: "Invalid status" });
           }
 
+          const testimonial = await testimonialCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!testimonial) {
+            return res.status(404).send({ error: "Testimonial not found" });
+          }
+
           const result = await testimonialCollection.updateOne(
-            { _id: new ObjectId(req.params.id) },
+            { _id: testimonial._id },
             { $set: { status, updatedAt: new Date() } }
           );
 
+          await recordAudit(req, {
+            action: `testimonial.${status}`,
+            targetType: "testimonial",
+            targetId: testimonial._id,
+            before: { status: testimonial.status },
+            after: { status },
+          });
+
           res.send({ success: true, modifiedCount: result.modifiedCount });
         } catch (error) {
           console.error("Update testimonial status error:", error);
@@ -1174,20 +6383,15 @@ async function run() {
     // Real-time blood availability by type
     app.get("/blood-stock", async (req, res) => {
       try {
-        const bloodTypes = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
-
         // Count available donors by blood group
-        const stockPromises = bloodTypes.map(async (type) => {
-          const availableDonors = await userCollection.countDocuments({
-            bloodGroup: type,
-            status: "active",
-            role: { $in: ["donor", "volunteer"] },
-          });
+        const stockPromises = BLOOD_GROUPS.map(async (type) => {
+          const availableDonors = await userCollection.countDocuments(
+            donorMatchQuery({ bloodGroup: type })
+          );
 
-          const pendingRequests = await requestCollection.countDocuments({
-            blood_group: type,
-            donation_status: "pending",
-          });
+          const pendingRequests = await requestCollection.countDocuments(
+            openRequestQuery({ blood_group: type })
+          );
 
           // Calculate urgency based on supply/demand ratio
           let urgency = "normal";
@@ -1220,12 +6424,7 @@ async function run() {
         // Get users who have completed donations
         const leaderboard = await requestCollection
           .aggregate([
-            {
-              $match: {
-                donation_status: "done",
-                donorEmail: { $exists: true, $ne: null },
-              },
-            },
+            ...DONATION_STAGES,
             { $group: { _id: "$donorEmail", donations: { $sum: 1 } } },
             { $sort: { donations: -1 } },
             { $limit: parseInt(limit) },
@@ -1280,7 +6479,12 @@ async function run() {
     app.get("/donation-centers", async (req, res) => {
       try {
         const { district, limit = 20 } = req.query;
-        const query = {};
+        const near = parseNearQuery(req.query);
+        if (near?.error) {
+          return res.status(400).send({ error: near.error });
+        }
+
+        const query = near ? withinRadiusQuery(near) : {};
         if (district) query.district = district;
 
         const centers = await centersCollection
@@ -1288,7 +6492,14 @@ async function run() {
           .limit(parseInt(limit))
           .toArray();
 
-        res.send(centers);
+        res.send(
+          near
+            ? centers.map((center) => ({
+                ...center,
+                distanceKm: distanceKmFrom(near.point, center),
+              }))
+            : centers
+        );
       } catch (error) {
         console.error("Donation centers error:", error);
         res.status(500).send({ error: "Failed to fetch donation centers" });
@@ -1328,46 +6539,42 @@ async function run() {
     });
 
     // Get all contact messages (admin only)
-    app.get("/contacts", verifyToken, async (req, res) => {
-      try {
-        const adminEmail = req.decodedEmail;
-        const adminUser = await userCollection.findOne({ email: adminEmail });
-
-        if (adminUser?.role !== "admin") {
-          return res
-            .status(403)
-            .send({ error: "Only admins can view contact messages" });
-        }
-
-        const { status, page = 1, limit = 10 } = req.query;
-        const query = {};
-        if (status) query.status = status;
+    app.get(
+      "/contacts",
+      verifyToken,
+      requirePermission("contacts:read"),
+      async (req, res) => {
+        try {
+          const { status, page = 1, limit = 10 } = req.query;
+          const query = {};
+          if (status) query.status = status;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+          const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const contacts = await contactCollection
-          .find(query)
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .toArray();
+          const contacts = await contactCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .toArray();
 
-        const total = await contactCollection.countDocuments(query);
+          const total = await contactCollection.countDocuments(query);
 
-        res.send({
-          contacts,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit)),
-          },
-        });
-      } catch (error) {
-        console.error("Get contacts error:", error);
-        res.status(500).send({ error: "Failed to fetch contacts" });
+          res.send({
+            contacts,
+            pagination: {
+              page: parseInt(page),
+              limit: parseInt(limit),
+              total,
+              pages: Math.ceil(total / parseInt(limit)),
+            },
+          });
+        } catch (error) {
+          console.error("Get contacts error:", error);
+          res.status(500).send({ error: "Failed to fetch contacts" });
+        }
       }
-    });
+    );
 
     // ============ NEWSLETTER SUBSCRIPTION ============
 
@@ -1398,177 +6605,217 @@ async function run() {
           message: "Successfully subscribed to newsletter",
         });
       } catch (error) {
-        console.error("Newsletter subscription error:", error);
-        res.status(500).send({ error: "Failed to subscribe" });
-      }
-    });
-
-    // ============ STATISTICS ENDPOINT (for dashboard charts) ============
-    app.get("/statistics", verifyToken, async (req, res) => {
-      try {
-        // Get total counts
-        const totalDonations = await requestCollection.countDocuments({
-          donation_status: "done",
-        });
-        const totalDonors = await userCollection.countDocuments({
-          role: { $in: ["donor", "volunteer"] },
-          status: "active",
-        });
-        const totalRequests = await requestCollection.countDocuments();
-        const pendingRequests = await requestCollection.countDocuments({
-          donation_status: "pending",
-        });
-
-        // Calculate success rate
-        const successRate =
-          totalRequests > 0
-            ? ((totalDonations / totalRequests) * 100).toFixed(1)
-            : 0;
+        console.error("Newsletter subscription error:", error);
+        res.status(500).send({ error: "Failed to subscribe" });
+      }
+    });
 
-        // Blood group distribution from requests
-        const bloodGroupStats = await requestCollection
-          .aggregate([
-            { $group: { _id: "$blood_group", count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-          ])
-          .toArray();
+    // ============ STATISTICS ENDPOINT (for dashboard charts) ============
+    app.get(
+      "/statistics",
+      verifyToken,
+      requirePermission("stats:read"),
+      async (req, res) => {
+        try {
+          // Get total counts
+          const [donationTotal] = await requestCollection
+            .aggregate([...DONATION_STAGES, { $count: "total" }])
+            .toArray();
+          const totalDonations = donationTotal?.total || 0;
+          const totalDonors = await userCollection.countDocuments({
+            role: { $in: ["donor", "volunteer"] },
+            status: "active",
+          });
+          const totalRequests = await requestCollection.countDocuments();
+          const pendingRequests = await requestCollection.countDocuments({
+            donation_status: "pending",
+          });
 
-        const totalBloodGroups = bloodGroupStats.reduce(
-          (sum, bg) => sum + bg.count,
-          0
-        );
-        const bloodGroupDistribution = bloodGroupStats.map((bg) => ({
-          name: bg._id || "Unknown",
-          value: bg.count,
-          percentage:
-            totalBloodGroups > 0
-              ? ((bg.count / totalBloodGroups) * 100).toFixed(1)
-              : 0,
-        }));
+          // Calculate success rate
+          const successRate =
+            totalRequests > 0
+              ? ((totalDonations / totalRequests) * 100).toFixed(1)
+              : 0;
+
+          // Blood group distribution from requests
+          const bloodGroupStats = await requestCollection
+            .aggregate([
+              { $group: { _id: "$blood_group", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ])
+            .toArray();
 
-        // District distribution
-        const districtStats = await requestCollection
-          .aggregate([
-            { $match: { donation_status: "done" } },
-            { $group: { _id: "$district", donations: { $sum: 1 } } },
-            { $sort: { donations: -1 } },
-            { $limit: 5 },
-          ])
-          .toArray();
+          const totalBloodGroups = bloodGroupStats.reduce(
+            (sum, bg) => sum + bg.count,
+            0
+          );
+          const bloodGroupDistribution = bloodGroupStats.map((bg) => ({
+            name: bg._id || "Unknown",
+            value: bg.count,
+            percentage:
+              totalBloodGroups > 0
+                ? ((bg.count / totalBloodGroups) * 100).toFixed(1)
+                : 0,
+          }));
+
+          // District distribution
+          const districtStats = await requestCollection
+            .aggregate([
+              ...DONATION_STAGES,
+              { $group: { _id: "$district", donations: { $sum: 1 } } },
+              { $sort: { donations: -1 } },
+              { $limit: 5 },
+            ])
+            .toArray();
 
-        const topDistricts = districtStats.map((d) => ({
-          name: d._id || "Unknown",
-          donations: d.donations,
-        }));
+          const topDistricts = districtStats.map((d) => ({
+            name: d._id || "Unknown",
+            donations: d.donations,
+          }));
 
-        // Monthly trends (last 6 months)
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+          // Monthly trends (last 6 months)
+          const sixMonthsAgo = new Date();
+          sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-        const monthlyDonations = await requestCollection
-          .aggregate([
-            {
-              $match: {
-                createdAt: { $gte: sixMonthsAgo },
-              },
-            },
-            {
-              $group: {
-                _id: {
-                  year: { $year: "$createdAt" },
-                  month: { $month: "$createdAt" },
+          const monthlyRequests = await requestCollection
+            .aggregate([
+              {
+                $match: {
+                  createdAt: { $gte: sixMonthsAgo },
                 },
-                donations: {
-                  $sum: {
-                    $cond: [{ $eq: ["$donation_status", "done"] }, 1, 0],
+              },
+              {
+                $group: {
+                  _id: {
+                    year: { $year: "$createdAt" },
+                    month: { $month: "$createdAt" },
                   },
+                  requests: { $sum: 1 },
                 },
-                requests: { $sum: 1 },
               },
-            },
-            { $sort: { "_id.year": 1, "_id.month": 1 } },
-          ])
-          .toArray();
+            ])
+            .toArray();
 
-        const monthNames = [
-          "Jan",
-          "Feb",
-          "Mar",
-          "Apr",
-          "May",
-          "Jun",
-          "Jul",
-          "Aug",
-          "Sep",
-          "Oct",
-          "Nov",
-          "Dec",
-        ];
-        const monthlyTrends = monthlyDonations.map((m) => ({
-          month: monthNames[m._id.month - 1],
-          donations: m.donations,
-          requests: m.requests,
-        }));
+          // Donations are counted in the month they were given, which may
+          // differ from the month the request was created
+          const donationsByMonth = await requestCollection
+            .aggregate([
+              ...DONATION_STAGES,
+              { $match: { donatedAt: { $gte: sixMonthsAgo } } },
+              {
+                $group: {
+                  _id: {
+                    year: { $year: "$donatedAt" },
+                    month: { $month: "$donatedAt" },
+                  },
+                  donations: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray();
 
-        // If no monthly data, provide default
-        if (monthlyTrends.length === 0) {
-          const currentMonth = new Date().getMonth();
-          for (let i = 5; i >= 0; i--) {
-            const monthIndex = (currentMonth - i + 12) % 12;
-            monthlyTrends.push({
-              month: monthNames[monthIndex],
-              donations: Math.floor(Math.random() * 50) + 20,
-              requests: Math.floor(Math.random() * 60) + 30,
+          const months = new Map();
+          const monthKey = ({ year, month }) => year * 12 + month;
+          for (const m of monthlyRequests) {
+            months.set(monthKey(m._id), {
+              _id: m._id,
+              donations: 0,
+              requests: m.requests,
             });
           }
-        }
+          for (const m of donationsByMonth) {
+            const entry = months.get(monthKey(m._id)) || {
+              _id: m._id,
+              donations: 0,
+              requests: 0,
+            };
+            entry.donations = m.donations;
+            months.set(monthKey(m._id), entry);
+          }
+          const monthlyDonations = [...months.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([, entry]) => entry);
+
+          const monthNames = [
+            "Jan",
+            "Feb",
+            "Mar",
+            "Apr",
+            "May",
+            "Jun",
+            "Jul",
+            "Aug",
+            "Sep",
+            "Oct",
+            "Nov",
+            "Dec",
+          ];
+          const monthlyTrends = monthlyDonations.map((m) => ({
+            month: monthNames[m._id.month - 1],
+            donations: m.donations,
+            requests: m.requests,
+          }));
+
+          // If no monthly data, provide default
+          if (monthlyTrends.length === 0) {
+            const currentMonth = new Date().getMonth();
+            for (let i = 5; i >= 0; i--) {
+              const monthIndex = (currentMonth - i + 12) % 12;
+              monthlyTrends.push({
+                month: monthNames[monthIndex],
+                donations: Math.floor(Math.random() * 50) + 20,
+                requests: Math.floor(Math.random() * 60) + 30,
+              });
+            }
+          }
 
-        res.send({
-          overview: {
-            totalDonations,
-            totalDonors,
-            totalRequests,
-            successRate: parseFloat(successRate),
-          },
-          monthlyTrends,
-          bloodGroupDistribution,
-          demographics: {
-            ageGroups: [
-              { range: "18-25", count: Math.floor(totalDonors * 0.27) },
-              { range: "26-35", count: Math.floor(totalDonors * 0.36) },
-              { range: "36-45", count: Math.floor(totalDonors * 0.23) },
-              { range: "46-55", count: Math.floor(totalDonors * 0.1) },
-              { range: "55+", count: Math.floor(totalDonors * 0.04) },
-            ],
-            topDistricts:
-              topDistricts.length > 0
-                ? topDistricts
-                : [
-                    { name: "Dhaka", donations: 45 },
-                    { name: "Chittagong", donations: 32 },
-                    { name: "Sylhet", donations: 18 },
-                    { name: "Rajshahi", donations: 12 },
-                    { name: "Khulna", donations: 8 },
-                  ],
-          },
-          responseTime: {
-            average: 4.2,
-            trend: [
-              { day: "Mon", hours: 3.8 },
-              { day: "Tue", hours: 4.2 },
-              { day: "Wed", hours: 3.5 },
-              { day: "Thu", hours: 4.8 },
-              { day: "Fri", hours: 5.1 },
-              { day: "Sat", hours: 3.2 },
-              { day: "Sun", hours: 4.5 },
-            ],
-          },
-        });
-      } catch (error) {
-        console.error("Statistics error:", error);
-        res.status(500).send({ error: "Failed to fetch statistics" });
+          res.send({
+            overview: {
+              totalDonations,
+              totalDonors,
+              totalRequests,
+              successRate: parseFloat(successRate),
+            },
+            monthlyTrends,
+            bloodGroupDistribution,
+            demographics: {
+              ageGroups: [
+                { range: "18-25", count: Math.floor(totalDonors * 0.27) },
+                { range: "26-35", count: Math.floor(totalDonors * 0.36) },
+                { range: "36-45", count: Math.floor(totalDonors * 0.23) },
+                { range: "46-55", count: Math.floor(totalDonors * 0.1) },
+                { range: "55+", count: Math.floor(totalDonors * 0.04) },
+              ],
+              topDistricts:
+                topDistricts.length > 0
+                  ? topDistricts
+                  : [
+                      { name: "Dhaka", donations: 45 },
+                      { name: "Chittagong", donations: 32 },
+                      { name: "Sylhet", donations: 18 },
+                      { name: "Rajshahi", donations: 12 },
+                      { name: "Khulna", donations: 8 },
+                    ],
+            },
+            responseTime: {
+              average: 4.2,
+              trend: [
+                { day: "Mon", hours: 3.8 },
+                { day: "Tue", hours: 4.2 },
+                { day: "Wed", hours: 3.5 },
+                { day: "Thu", hours: 4.8 },
+                { day: "Fri", hours: 5.1 },
+                { day: "Sat", hours: 3.2 },
+                { day: "Sun", hours: 4.5 },
+              ],
+            },
+          });
+        } catch (error) {
+          console.error("Statistics error:", error);
+          res.status(500).send({ error: "Failed to fetch statistics" });
+        }
       }
-    });
+    );
 
     // ============ NOTIFICATIONS SYSTEM ============
 
@@ -1594,40 +6841,64 @@ async function run() {
       return await notificationCollection.insertOne(notification);
     };
 
+    // Notify the person who posted a request (skipped if they are gone)
+    const notifyRequester = async (request, type, title, message) => {
+      const requester = await userCollection.findOne(
+        { email: request.requesterEmail },
+        { projection: { _id: 1, email: 1 } }
+      );
+      if (!requester) return null;
+
+      return createNotification(
+        requester._id,
+        requester.email,
+        type,
+        title,
+        message,
+        { requestId: request._id }
+      );
+    };
+
     // Get user notifications
     app.get("/notifications", verifyToken, async (req, res) => {
       try {
-        const { page = 1, limit = 20, unreadOnly = false } = req.query;
+        const { unreadOnly = false } = req.query;
         const query = { userEmail: req.decodedEmail };
 
         if (unreadOnly === "true") {
           query.read = false;
         }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const notifications = await notificationCollection
-          .find(query)
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .toArray();
-
-        const total = await notificationCollection.countDocuments(query);
-        const unreadCount = await notificationCollection.countDocuments({
-          userEmail: req.decodedEmail,
-          read: false,
+        const paging = parsePagination(req.query, {
+          sizeParam: "limit",
+          defaultSize: 20,
         });
+        if (paging.error) {
+          return res.status(400).send({ error: paging.error });
+        }
+
+        const [result, total, unreadCount] = await Promise.all([
+          fetchPage(
+            notificationCollection,
+            { stages: [{ $match: query }], sort: { createdAt: -1 } },
+            paging
+          ),
+          paging.includeTotal
+            ? notificationCollection.countDocuments(query)
+            : null,
+          notificationCollection.countDocuments({
+            userEmail: req.decodedEmail,
+            read: false,
+          }),
+        ]);
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
+        }
 
         res.send({
-          notifications,
+          notifications: result.items,
           unreadCount,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit)),
-          },
+          pagination: paginationInfo(paging, total, result.cursors),
         });
       } catch (error) {
         console.error("Get notifications error:", error);
@@ -1876,8 +7147,14 @@ async function run() {
     // Get messages in conversation
     app.get("/messages/:conversationId", verifyToken, async (req, res) => {
       try {
-        const { page = 1, limit = 50 } = req.query;
         const conversationId = req.params.conversationId;
+        const paging = parsePagination(req.query, {
+          sizeParam: "limit",
+          defaultSize: 50,
+        });
+        if (paging.error) {
+          return res.status(400).send({ error: paging.error });
+        }
 
         // Verify user is participant
         const conversation = await conversationCollection.findOne({
@@ -1889,14 +7166,20 @@ async function run() {
           return res.status(404).send({ error: "Conversation not found" });
         }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const messages = await messageCollection
-          .find({ conversationId: new ObjectId(conversationId) })
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .toArray();
+        // Newest first, so `after` pages back through older messages
+        const result = await fetchPage(
+          messageCollection,
+          {
+            stages: [
+              { $match: { conversationId: new ObjectId(conversationId) } },
+            ],
+            sort: { createdAt: -1 },
+          },
+          paging
+        );
+        if (result.error) {
+          return res.status(400).send({ error: result.error });
+        }
 
         // Mark messages as read
         await messageCollection.updateMany(
@@ -1908,18 +7191,15 @@ async function run() {
           { $set: { read: true, readAt: new Date() } }
         );
 
-        const total = await messageCollection.countDocuments({
-          conversationId: new ObjectId(conversationId),
-        });
+        const total = paging.includeTotal
+          ? await messageCollection.countDocuments({
+              conversationId: new ObjectId(conversationId),
+            })
+          : null;
 
         res.send({
-          messages: messages.reverse(), // Return in chronological order
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total,
-            pages: Math.ceil(total / parseInt(limit)),
-          },
+          messages: result.items.reverse(), // Return in chronological order
+          pagination: paginationInfo(paging, total, result.cursors),
         });
       } catch (error) {
         console.error("Get messages error:", error);
@@ -1965,57 +7245,129 @@ async function run() {
             page = 1,
             limit = 10,
             sortBy = "recent",
+            compatible,
+            component = "red_cells",
           } = req.query;
 
-          const query = {
-            role: { $in: ["donor", "volunteer"] },
-            status: "active",
-          };
+          const near = parseNearQuery(req.query);
+          if (near?.error) {
+            return res.status(400).send({ error: near.error });
+          }
 
-          if (bloodGroup) query.bloodGroup = bloodGroup;
+          const query = donorMatchQuery(near ? withinRadiusQuery(near) : {});
+          const matchCompatible = compatible === "true" && bloodGroup;
+
+          if (matchCompatible) {
+            if (
+              !BLOOD_GROUPS.includes(bloodGroup) ||
+              !BLOOD_COMPONENTS.includes(component)
+            ) {
+              return res
+                .status(400)
+                .send({ error: "Invalid blood group or component" });
+            }
+            query.bloodGroup = {
+              $in: compatibleDonorGroups(bloodGroup, component),
+            };
+          } else if (bloodGroup) {
+            query.bloodGroup = bloodGroup;
+          }
           if (district) query.district = { $regex: district, $options: "i" };
           if (upazila) query.upazila = { $regex: upazila, $options: "i" };
 
           const skip = (parseInt(page) - 1) * parseInt(limit);
 
           // Get donation counts for sorting
+          const donationsByDonor = [
+            ...DONATION_STAGES,
+            { $match: { $expr: { $eq: ["$donorEmail", "$$donorEmail"] } } },
+          ];
           const donorsPipeline = [
             { $match: query },
+            // Each lookup goes through an index on the donor's email. The
+            // second only adds older requests the donor did not also pledge
+            // to, so no donation is counted twice.
+            {
+              $lookup: {
+                from: "request",
+                localField: "email",
+                foreignField: "pledges.donorEmail",
+                let: { donorEmail: "$email" },
+                pipeline: donationsByDonor,
+                as: "pledgeDonations",
+              },
+            },
             {
               $lookup: {
                 from: "request",
+                localField: "email",
+                foreignField: "donorEmail",
                 let: { donorEmail: "$email" },
                 pipeline: [
                   {
                     $match: {
-                      $expr: { $eq: ["$donorEmail", "$$donorEmail"] },
-                      donation_status: "done",
+                      $expr: {
+                        $not: {
+                          $in: [
+                            "$$donorEmail",
+                            { $ifNull: ["$pledges.donorEmail", []] },
+                          ],
+                        },
+                      },
                     },
                   },
+                  ...donationsByDonor,
                 ],
-                as: "donations",
+                as: "legacyDonations",
               },
             },
             {
               $addFields: {
-                donationCount: { $size: "$donations" },
-                lastDonation: { $max: "$donations.updatedAt" },
+                donations: {
+                  $concatArrays: ["$pledgeDonations", "$legacyDonations"],
+                },
               },
             },
             {
-              $project: {
-                password: 0,
-                donations: 0,
+              $addFields: {
+                donationCount: { $size: "$donations" },
+                lastDonation: { $max: "$donations.donatedAt" },
+                ...(matchCompatible && {
+                  matchType: {
+                    $cond: [
+                      { $eq: ["$bloodGroup", bloodGroup] },
+                      "exact",
+                      "compatible",
+                    ],
+                  },
+                }),
               },
             },
             {
-              $sort:
-                sortBy === "donations"
+              // Exact blood group matches come before compatible ones
+              $sort: {
+                ...(matchCompatible && { matchType: -1 }),
+                ...(sortBy === "donations"
                   ? { donationCount: -1 }
-                  : { createdAt: -1 },
+                  : { createdAt: -1 }),
+              },
             },
             { $skip: skip },
             { $limit: parseInt(limit) },
+            {
+              $project: {
+                name: 1,
+                photoURL: 1,
+                bloodGroup: 1,
+                district: 1,
+                upazila: 1,
+                location: 1,
+                quietHours: 1,
+                donationCount: 1,
+                lastDonation: 1,
+                ...(matchCompatible && { matchType: 1 }),
+              },
+            },
           ];
 
           const donors = await userCollection
@@ -2024,7 +7376,16 @@ async function run() {
           const total = await userCollection.countDocuments(query);
 
           res.send({
-            donors,
+            // Only public profile fields: no email, and never the exact
+            // coordinates, only the distance
+            donors: donors.map((donor) => ({
+              ...publicDonorProfile(donor),
+              donationCount: donor.donationCount,
+              lastDonation: donor.lastDonation,
+              ...(matchCompatible && { matchType: donor.matchType }),
+              inQuietHours: isInQuietHours(donor),
+              ...(near && { distanceKm: distanceKmFrom(near.point, donor) }),
+            })),
             total,
             page: parseInt(page),
             pages: Math.ceil(total / parseInt(limit)),
@@ -2039,6 +7400,20 @@ async function run() {
     }
 
     // ============ DONATION ELIGIBILITY TRACKER ============
+    // Most recent completed donation by a donor ({ donatedAt, ... } or null)
+    const lastDonationFor = async (email) => {
+      const [last] = await requestCollection
+        .aggregate([
+          { $match: donatedByQuery(email) },
+          ...DONATION_STAGES,
+          { $match: { donorEmail: email } },
+          { $sort: { donatedAt: -1 } },
+          { $limit: 1 },
+        ])
+        .toArray();
+      return last || null;
+    };
+
     app.get("/donations/eligibility", verifyToken, async (req, res) => {
       try {
         const user = await userCollection.findOne({ email: req.decodedEmail });
@@ -2046,20 +7421,15 @@ async function run() {
           return res.status(404).send({ error: "User not found" });
         }
 
-        // Get last donation
-        const lastDonation = await requestCollection.findOne(
-          { donorEmail: req.decodedEmail, donation_status: "done" },
-          { sort: { updatedAt: -1 } }
-        );
+        const lastDonation = await lastDonationFor(req.decodedEmail);
 
-        const ELIGIBILITY_DAYS = 90;
         let isEligible = true;
         let reason = "You are eligible to donate blood!";
         let nextEligibleDate = null;
         let daysSinceLastDonation = null;
 
-        if (lastDonation?.updatedAt) {
-          const lastDonationDate = new Date(lastDonation.updatedAt);
+        if (lastDonation?.donatedAt) {
+          const lastDonationDate = new Date(lastDonation.donatedAt);
           const today = new Date();
           daysSinceLastDonation = Math.floor(
             (today - lastDonationDate) / (1000 * 60 * 60 * 24)
@@ -2079,7 +7449,7 @@ async function run() {
         res.send({
           isEligible,
           reason,
-          lastDonationDate: lastDonation?.updatedAt || null,
+          lastDonationDate: lastDonation?.donatedAt || null,
           nextEligibleDate,
           daysSinceLastDonation,
           eligibilityPeriodDays: ELIGIBILITY_DAYS,
@@ -2096,16 +7466,15 @@ async function run() {
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const donations = await requestCollection
-          .find({ donorEmail: req.decodedEmail, donation_status: "done" })
+          .find(donatedByQuery(req.decodedEmail))
           .sort({ updatedAt: -1 })
           .skip(skip)
           .limit(parseInt(limit))
           .toArray();
 
-        const total = await requestCollection.countDocuments({
-          donorEmail: req.decodedEmail,
-          donation_status: "done",
-        });
+        const total = await requestCollection.countDocuments(
+          donatedByQuery(req.decodedEmail)
+        );
 
         const livesSaved = total * 3;
 
@@ -2122,94 +7491,345 @@ async function run() {
       }
     });
 
-    // ============ BLOOD DONATION EVENTS/CAMPS ============
+    // ============ DONOR RECOMMENDATIONS ============
+    const RECOMMENDATION_POOL_SIZE = 500;
 
-    // Create event (admin only)
-    app.post("/events", verifyToken, checkDemoAdmin, async (req, res) => {
-      try {
-        const adminUser = await userCollection.findOne({
-          email: req.decodedEmail,
+    // Rank compatible donors near a request (see scoreDonor). Donors who
+    // posted or already pledged to the request are left out, as are those
+    // in their quiet hours when respectQuietHours is set, and those who
+    // are not yet eligible again when eligibleOnly is set (for alerts).
+    const recommendDonors = async (
+      request,
+      { limit = 20, respectQuietHours = false, eligibleOnly = false } = {}
+    ) => {
+      const excluded = [
+        request.requesterEmail,
+        ...(request.pledges || []).map((p) => p.donorEmail),
+      ];
+      const nearby = [
+        {
+          district: {
+            $regex: `^${escapeRegex(request.district)}$`,
+            $options: "i",
+          },
+        },
+      ];
+      if (request.location) {
+        nearby.push(
+          withinRadiusQuery({
+            point: request.location,
+            radiusKm: RECOMMENDATION_RADIUS_KM,
+          })
+        );
+      }
+
+      const candidates = await userCollection
+        .aggregate([
+          ...compatibleDonorStages(request.blood_group, request.component, {
+            email: { $nin: excluded },
+            $or: nearby,
+          }),
+          { $sort: { exactMatch: -1 } },
+          { $limit: RECOMMENDATION_POOL_SIZE },
+          { $project: RECOMMENDATION_DONOR_FIELDS },
+        ])
+        .toArray();
+      if (candidates.length === 0) return [];
+
+      const emails = candidates.map((donor) => donor.email);
+      const [lastDonations, alerts, sessions] = await Promise.all([
+        requestCollection
+          .aggregate([
+            { $match: donatedByQuery({ $in: emails }) },
+            ...DONATION_STAGES,
+            { $match: { donorEmail: { $in: emails } } },
+            { $group: { _id: "$donorEmail", at: { $max: "$donatedAt" } } },
+          ])
+          .toArray(),
+        notificationCollection
+          .aggregate([
+            {
+              $match: {
+                userEmail: { $in: emails },
+                type: { $in: DONOR_ALERT_TYPES },
+                "data.requestId": { $exists: true },
+              },
+            },
+            {
+              $group: {
+                _id: "$userEmail",
+                requestIds: { $addToSet: "$data.requestId" },
+              },
+            },
+          ])
+          .toArray(),
+        refreshTokenCollection
+          .aggregate([
+            { $match: { email: { $in: emails } } },
+            { $group: { _id: "$email", at: { $max: "$lastSeenAt" } } },
+          ])
+          .toArray(),
+      ]);
+
+      // A response is a pledge to a request the donor was alerted about
+      const responses = await requestCollection
+        .aggregate([
+          {
+            $match: {
+              _id: { $in: alerts.flatMap((a) => a.requestIds) },
+              "pledges.donorEmail": { $in: emails },
+            },
+          },
+          { $unwind: "$pledges" },
+          { $match: { "pledges.donorEmail": { $in: emails } } },
+          {
+            $group: {
+              _id: "$pledges.donorEmail",
+              requestIds: { $addToSet: "$_id" },
+            },
+          },
+        ])
+        .toArray();
+
+      const byEmail = (rows) => new Map(rows.map((row) => [row._id, row]));
+      const donationMap = byEmail(lastDonations);
+      const alertMap = byEmail(alerts);
+      const responseMap = byEmail(responses);
+      const sessionMap = byEmail(sessions);
+
+      const now = new Date();
+      return candidates
+        .filter((donor) => !respectQuietHours || !isInQuietHours(donor, now))
+        .map((donor) => {
+          const alerted = (alertMap.get(donor.email)?.requestIds || []).map(
+            String
+          );
+          const responded = (
+            responseMap.get(donor.email)?.requestIds || []
+          ).filter((id) => alerted.includes(String(id)));
+
+          const { location, exactMatch, ...profile } = donor;
+          return {
+            donor: profile,
+            inQuietHours: isInQuietHours(donor, now),
+            ...scoreDonor(request, donor, {
+              lastDonationAt: donationMap.get(donor.email)?.at,
+              notified: alerted.length,
+              responded: responded.length,
+              lastSeenAt: sessionMap.get(donor.email)?.at,
+            }),
+          };
+        })
+        .filter((recommendation) => !eligibleOnly || recommendation.eligible)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    };
+
+    // Alert the best-ranked donors about a request (outside their quiet
+    // hours) and remember who was alerted. Returns the alerted donors.
+    // Hidden requests are never advertised.
+    const alertRecommendedDonors = async (
+      request,
+      { limit = 50, type = "urgent_request", title, message }
+    ) => {
+      if (request.hidden) return [];
+
+      const donors = (
+        await recommendDonors(request, {
+          limit,
+          respectQuietHours: true,
+          eligibleOnly: true,
+        })
+      ).map((r) => r.donor);
+
+      const text = request.verified
+        ? `${message} ✅ Hospital-verified request.`
+        : message;
+      for (const donor of donors) {
+        await createNotification(donor._id, donor.email, type, title, text, {
+          requestId: request._id,
+          bloodGroup: request.blood_group,
+          verified: request.verified || false,
         });
-        if (adminUser?.role !== "admin") {
-          return res.status(403).send({ error: "Admin access required" });
+      }
+
+      if (donors.length > 0) {
+        await requestCollection.updateOne(
+          { _id: request._id },
+          {
+            $addToSet: {
+              notifiedDonors: { $each: donors.map((d) => d.email) },
+            },
+          }
+        );
+      }
+      return donors;
+    };
+
+    app.get(
+      "/requests/:id/recommended-donors",
+      verifyToken,
+      async (req, res) => {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).send({ error: "Request not found" });
         }
 
-        const {
-          name,
-          description,
-          district,
-          upazila,
-          address,
-          date,
-          time,
-          capacity,
-          organizer,
-        } = req.body;
+        try {
+          const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+          const [request, user] = await Promise.all([
+            requestCollection.findOne({ _id: new ObjectId(req.params.id) }),
+            userCollection.findOne({ email: req.decodedEmail }),
+          ]);
+
+          if (!request) {
+            return res.status(404).send({ error: "Request not found" });
+          }
+          if (
+            request.requesterEmail !== req.decodedEmail &&
+            !hasPermission(user, "requests:moderate")
+          ) {
+            return res.status(403).send({ error: "Not authorized" });
+          }
 
-        if (!name || !district || !date || !time) {
-          return res.status(400).send({ error: "Missing required fields" });
+          const recommendations = await recommendDonors(request, { limit });
+
+          res.send({
+            requestId: request._id,
+            weights: RECOMMENDATION_WEIGHTS,
+            recommendations: recommendations.map(
+              ({ donor, ...recommendation }) => ({
+                donor: publicDonorProfile(donor),
+                ...recommendation,
+              })
+            ),
+          });
+        } catch (error) {
+          console.error("Recommended donors error:", error);
+          res.status(500).send({ error: "Failed to recommend donors" });
         }
+      }
+    );
 
-        const event = {
-          name,
-          description: description || "",
-          district,
-          upazila: upazila || "",
-          address: address || "",
-          date: new Date(date),
-          time,
-          capacity: parseInt(capacity) || 100,
-          organizer: organizer || adminUser.name,
-          organizerEmail: req.decodedEmail,
-          registrations: [],
-          registrationCount: 0,
-          status: "upcoming",
-          createdAt: new Date(),
-        };
+    // ============ BLOOD DONATION EVENTS/CAMPS ============
+
+    // Create event (admin only)
+    app.post(
+      "/events",
+      verifyToken,
+      requirePermission("events:create"),
+      checkDemoAdmin,
+      async (req, res) => {
+        try {
+          const {
+            name,
+            description,
+            district,
+            upazila,
+            address,
+            date,
+            time,
+            capacity,
+            organizer,
+            latitude,
+            longitude,
+          } = req.body;
+
+          if (!name || !district || !date || !time) {
+            return res.status(400).send({ error: "Missing required fields" });
+          }
+
+          const location =
+            latitude !== undefined || longitude !== undefined
+              ? toGeoPoint(latitude, longitude)
+              : undefined;
+          if (location === null) {
+            return res
+              .status(400)
+              .send({ error: "Invalid latitude/longitude" });
+          }
+
+          const event = {
+            name,
+            description: description || "",
+            district,
+            upazila: upazila || "",
+            address: address || "",
+            ...(location && { location }),
+            date: new Date(date),
+            time,
+            capacity: parseInt(capacity) || 100,
+            organizer: organizer || req.currentUser.name,
+            organizerEmail: req.decodedEmail,
+            registrations: [],
+            registrationCount: 0,
+            status: "upcoming",
+            createdAt: new Date(),
+          };
 
-        const result = await eventsCollection.insertOne(event);
+          const result = await eventsCollection.insertOne(event);
+
+          await recordAudit(req, {
+            action: "event.created",
+            targetType: "event",
+            targetId: result.insertedId,
+            after: {
+              name,
+              district,
+              date: event.date,
+              capacity: event.capacity,
+            },
+          });
 
-        // Notify donors in the district
-        const matchingDonors = await userCollection
-          .find({
-            district: { $regex: district, $options: "i" },
-            status: "active",
-            role: { $in: ["donor", "volunteer"] },
-          })
-          .limit(100)
-          .toArray();
+          // Notify donors in the district (outside their quiet hours)
+          const matchingDonors = (
+            await userCollection
+              .find(
+                donorMatchQuery({
+                  district: { $regex: district, $options: "i" },
+                })
+              )
+              .limit(100)
+              .toArray()
+          ).filter((donor) => !isInQuietHours(donor));
 
-        for (const donor of matchingDonors) {
-          await createNotification(
-            donor._id,
-            donor.email,
-            "new_event",
-            "New Blood Donation Camp",
-            `A blood donation camp "${name}" is scheduled in ${district} on ${new Date(
-              date
-            ).toLocaleDateString()}`,
-            { eventId: result.insertedId }
-          );
-        }
+          for (const donor of matchingDonors) {
+            await createNotification(
+              donor._id,
+              donor.email,
+              "new_event",
+              "New Blood Donation Camp",
+              `A blood donation camp "${name}" is scheduled in ${district} on ${new Date(
+                date
+              ).toLocaleDateString()}`,
+              { eventId: result.insertedId }
+            );
+          }
 
-        res.status(201).send({
-          success: true,
-          eventId: result.insertedId,
-          notifiedDonors: matchingDonors.length,
-        });
-      } catch (error) {
-        console.error("Create event error:", error);
-        res.status(500).send({ error: "Failed to create event" });
+          res.status(201).send({
+            success: true,
+            eventId: result.insertedId,
+            notifiedDonors: matchingDonors.length,
+          });
+        } catch (error) {
+          console.error("Create event error:", error);
+          res.status(500).send({ error: "Failed to create event" });
+        }
       }
-    });
+    );
 
     // Get upcoming events (public)
     app.get("/events/upcoming", async (req, res) => {
       try {
         const { district, page = 1, limit = 10 } = req.query;
+        const near = parseNearQuery(req.query);
+        if (near?.error) {
+          return res.status(400).send({ error: near.error });
+        }
+
         const query = {
           date: { $gte: new Date() },
           status: { $ne: "cancelled" },
+          ...(near && withinRadiusQuery(near)),
         };
 
         if (district) query.district = { $regex: district, $options: "i" };
@@ -2226,7 +7846,12 @@ async function run() {
         const total = await eventsCollection.countDocuments(query);
 
         res.send({
-          events,
+          events: near
+            ? events.map((event) => ({
+                ...event,
+                distanceKm: distanceKmFrom(near.point, event),
+              }))
+            : events,
           total,
           page: parseInt(page),
           pages: Math.ceil(total / parseInt(limit)),
@@ -2238,34 +7863,39 @@ async function run() {
     });
 
     // Get all events (admin)
-    app.get("/events", verifyToken, async (req, res) => {
-      try {
-        const { status, page = 1, limit = 10 } = req.query;
-        const query = {};
-        if (status) query.status = status;
+    app.get(
+      "/events",
+      verifyToken,
+      requirePermission("events:manage"),
+      async (req, res) => {
+        try {
+          const { status, page = 1, limit = 10 } = req.query;
+          const query = {};
+          if (status) query.status = status;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+          const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const events = await eventsCollection
-          .find(query)
-          .sort({ date: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .toArray();
+          const events = await eventsCollection
+            .find(query)
+            .sort({ date: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .toArray();
 
-        const total = await eventsCollection.countDocuments(query);
+          const total = await eventsCollection.countDocuments(query);
 
-        res.send({
-          events,
-          total,
-          page: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
-        });
-      } catch (error) {
-        console.error("Get all events error:", error);
-        res.status(500).send({ error: "Failed to fetch events" });
+          res.send({
+            events,
+            total,
+            page: parseInt(page),
+            pages: Math.ceil(total / parseInt(limit)),
+          });
+        } catch (error) {
+          console.error("Get all events error:", error);
+          res.status(500).send({ error: "Failed to fetch events" });
+        }
       }
-    });
+    );
 
     // Register for event
     app.post("/events/:id/register", verifyToken, async (req, res) => {
@@ -2335,50 +7965,42 @@ async function run() {
     });
 
     // Get event attendees (admin only)
-    app.get("/events/:id/attendees", verifyToken, async (req, res) => {
-      try {
-        const adminUser = await userCollection.findOne({
-          email: req.decodedEmail,
-        });
-        if (adminUser?.role !== "admin") {
-          return res.status(403).send({ error: "Admin access required" });
-        }
+    app.get(
+      "/events/:id/attendees",
+      verifyToken,
+      requirePermission("events:manage"),
+      async (req, res) => {
+        try {
+          const event = await eventsCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
 
-        const event = await eventsCollection.findOne({
-          _id: new ObjectId(req.params.id),
-        });
+          if (!event) {
+            return res.status(404).send({ error: "Event not found" });
+          }
 
-        if (!event) {
-          return res.status(404).send({ error: "Event not found" });
+          res.send({
+            eventName: event.name,
+            date: event.date,
+            attendees: event.registrations || [],
+            totalRegistered: event.registrationCount || 0,
+            capacity: event.capacity,
+          });
+        } catch (error) {
+          console.error("Get attendees error:", error);
+          res.status(500).send({ error: "Failed to fetch attendees" });
         }
-
-        res.send({
-          eventName: event.name,
-          date: event.date,
-          attendees: event.registrations || [],
-          totalRegistered: event.registrationCount || 0,
-          capacity: event.capacity,
-        });
-      } catch (error) {
-        console.error("Get attendees error:", error);
-        res.status(500).send({ error: "Failed to fetch attendees" });
       }
-    });
+    );
 
     // Cancel event (admin only)
     app.patch(
       "/events/:id/cancel",
       verifyToken,
+      requirePermission("events:manage"),
       checkDemoAdmin,
       async (req, res) => {
         try {
-          const adminUser = await userCollection.findOne({
-            email: req.decodedEmail,
-          });
-          if (adminUser?.role !== "admin") {
-            return res.status(403).send({ error: "Admin access required" });
-          }
-
           const event = await eventsCollection.findOne({
             _id: new ObjectId(req.params.id),
           });
@@ -2392,6 +8014,15 @@ async function run() {
             { $set: { status: "cancelled", cancelledAt: new Date() } }
           );
 
+          await recordAudit(req, {
+            action: "event.cancelled",
+            targetType: "event",
+            targetId: event._id,
+            before: { status: event.status },
+            after: { status: "cancelled" },
+            metadata: { name: event.name },
+          });
+
           // Notify all registered attendees
           for (const attendee of event.registrations || []) {
             await createNotification(
@@ -2421,7 +8052,7 @@ async function run() {
     // Mark request as emergency
     app.patch("/requests/:id/mark-emergency", verifyToken, async (req, res) => {
       try {
-        const { priority = "high" } = req.body;
+        const { priority = "high" } = req.body || {};
         const requestId = req.params.id;
 
         const request = await requestCollection.findOne({
@@ -2432,13 +8063,13 @@ async function run() {
           return res.status(404).send({ error: "Request not found" });
         }
 
-        // Only requester or admin can mark as emergency
+        // Only the requester or a request moderator can mark as emergency
         const user = await userCollection.findOne({
           email: req.decodedEmail,
         });
         if (
           request.requesterEmail !== req.decodedEmail &&
-          user?.role !== "admin"
+          !hasPermission(user, "requests:moderate")
         ) {
           return res.status(403).send({ error: "Not authorized" });
         }
@@ -2448,7 +8079,7 @@ async function run() {
           {
             $set: {
               isEmergency: true,
-              priority: ["normal", "high", "critical"].includes(priority)
+              priority: REQUEST_PRIORITIES.includes(priority)
                 ? priority
                 : "high",
               emergencyMarkedAt: new Date(),
@@ -2456,16 +8087,30 @@ async function run() {
           }
         );
 
-        // Notify matching donors
-        const matchingDonors = await userCollection
-          .find({
-            bloodGroup: request.blood_group,
-            status: "active",
-            role: { $in: ["donor", "volunteer"] },
-            email: { $ne: request.requesterEmail },
+        await recordAudit(req, {
+          action: "request.marked_emergency",
+          targetType: "request",
+          targetId: request._id,
+          before: {
+            isEmergency: request.isEmergency || false,
+            priority: request.priority || "normal",
+          },
+          after: {
+            isEmergency: true,
+            priority: REQUEST_PRIORITIES.includes(priority) ? priority : "high",
+          },
+          actor: user,
+        });
+
+        // Notify the best-ranked compatible donors; only critical
+        // emergencies reach donors during their quiet hours
+        const matchingDonors = (
+          await recommendDonors(request, {
+            limit: 100,
+            respectQuietHours: priority !== "critical",
+            eligibleOnly: true,
           })
-          .limit(100)
-          .toArray();
+        ).map((r) => r.donor);
 
         const notifiedEmails = [];
         for (const donor of matchingDonors) {
@@ -2474,8 +8119,16 @@ async function run() {
             donor.email,
             "emergency_request",
             "🚨 EMERGENCY Blood Request",
-            `URGENT: ${request.blood_group} blood needed in ${request.district}. This is a ${priority} priority emergency!`,
-            { requestId: request._id, bloodGroup: request.blood_group }
+            `URGENT: ${request.blood_group} blood needed in ${
+              request.district
+            }. This is a ${priority} priority emergency!${
+              request.verified ? " ✅ Hospital-verified request." : ""
+            }`,
+            {
+              requestId: request._id,
+              bloodGroup: request.blood_group,
+              verified: request.verified || false,
+            }
           );
           notifiedEmails.push(donor.email);
         }
@@ -2483,7 +8136,7 @@ async function run() {
         // Store notified donors
         await requestCollection.updateOne(
           { _id: new ObjectId(requestId) },
-          { $set: { notifiedDonors: notifiedEmails } }
+          { $addToSet: { notifiedDonors: { $each: notifiedEmails } } }
         );
 
         res.send({
@@ -2501,36 +8154,50 @@ async function run() {
     app.post(
       "/emergency-broadcast",
       verifyToken,
+      requirePermission("emergency:broadcast"),
       checkDemoAdmin,
       async (req, res) => {
         try {
-          const adminUser = await userCollection.findOne({
-            email: req.decodedEmail,
-          });
-          if (adminUser?.role !== "admin") {
-            return res.status(403).send({ error: "Admin access required" });
-          }
-
-          const { bloodGroup, district, message, title } = req.body;
+          const {
+            bloodGroup,
+            component = "red_cells",
+            district,
+            message,
+            title,
+          } = req.body;
 
           if (!bloodGroup || !message) {
             return res
               .status(400)
               .send({ error: "Blood group and message are required" });
           }
+          if (
+            !BLOOD_GROUPS.includes(bloodGroup) ||
+            !BLOOD_COMPONENTS.includes(component)
+          ) {
+            return res
+              .status(400)
+              .send({ error: "Invalid blood group or component" });
+          }
 
-          const query = {
-            status: "active",
-            role: { $in: ["donor", "volunteer"] },
-            bloodGroup,
-          };
-
-          if (district) query.district = { $regex: district, $options: "i" };
-
-          const matchingDonors = await userCollection
-            .find(query)
-            .limit(200)
+          // bloodGroup is the patient's; every compatible donor outside
+          // their quiet hours is alerted
+          const compatibleDonors = await userCollection
+            .aggregate([
+              ...compatibleDonorStages(
+                bloodGroup,
+                component,
+                district
+                  ? { district: { $regex: district, $options: "i" } }
+                  : {}
+              ),
+              { $sort: { exactMatch: -1, withdrawalCount: 1 } },
+              { $limit: 200 },
+            ])
             .toArray();
+          const matchingDonors = compatibleDonors.filter(
+            (donor) => !isInQuietHours(donor)
+          );
 
           const notifiedEmails = [];
           for (const donor of matchingDonors) {
@@ -2545,6 +8212,18 @@ async function run() {
             notifiedEmails.push(donor.email);
           }
 
+          await recordAudit(req, {
+            action: "emergency.broadcast_sent",
+            targetType: "broadcast",
+            metadata: {
+              bloodGroup,
+              component,
+              district: district || null,
+              title: title || null,
+              notifiedDonors: notifiedEmails.length,
+            },
+          });
+
           res.send({
             success: true,
             message: "Emergency broadcast sent",
@@ -2561,29 +8240,28 @@ async function run() {
     // Get emergency requests (public)
     app.get("/requests/emergency", async (req, res) => {
       try {
-        const { page = 1, limit = 10 } = req.query;
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const { page, size, skip } = parsePageNumber(req.query, {
+          sizeParam: "limit",
+        });
 
         const requests = await requestCollection
-          .find({
-            isEmergency: true,
-            donation_status: "pending",
+          .find(openRequestQuery({ isEmergency: true }), {
+            projection: PUBLIC_REQUEST_PROJECTION,
           })
           .sort({ emergencyMarkedAt: -1, createdAt: -1 })
           .skip(skip)
-          .limit(parseInt(limit))
+          .limit(size)
           .toArray();
 
-        const total = await requestCollection.countDocuments({
-          isEmergency: true,
-          donation_status: "pending",
-        });
+        const total = await requestCollection.countDocuments(
+          openRequestQuery({ isEmergency: true })
+        );
 
         res.send({
           requests,
           total,
-          page: parseInt(page),
-          pages: Math.ceil(total / parseInt(limit)),
+          page,
+          pages: Math.ceil(total / size),
         });
       } catch (error) {
         console.error("Get emergency requests error:", error);
@@ -2654,10 +8332,9 @@ async function run() {
         }
 
         // Get donation count
-        const donationCount = await requestCollection.countDocuments({
-          donorEmail: req.decodedEmail,
-          donation_status: "done",
-        });
+        const donationCount = await requestCollection.countDocuments(
+          donatedByQuery(req.decodedEmail)
+        );
 
         // Get event attendance count
         const eventAttendance = await eventsCollection.countDocuments({
@@ -2751,10 +8428,9 @@ async function run() {
     // Get points breakdown
     app.get("/points", verifyToken, async (req, res) => {
       try {
-        const donationCount = await requestCollection.countDocuments({
-          donorEmail: req.decodedEmail,
-          donation_status: "done",
-        });
+        const donationCount = await requestCollection.countDocuments(
+          donatedByQuery(req.decodedEmail)
+        );
 
         const eventAttendance = await eventsCollection.countDocuments({
           "registrations.email": req.decodedEmail,
@@ -2777,10 +8453,9 @@ async function run() {
     // Get milestones progress
     app.get("/milestones", verifyToken, async (req, res) => {
       try {
-        const donationCount = await requestCollection.countDocuments({
-          donorEmail: req.decodedEmail,
-          donation_status: "done",
-        });
+        const donationCount = await requestCollection.countDocuments(
+          donatedByQuery(req.decodedEmail)
+        );
 
         const milestones = [
           { level: "Bronze", requirement: 1, badge: "🥉" },
@@ -2878,33 +8553,28 @@ async function run() {
     // Send notification when blood request is created (use this endpoint for notifications)
     app.post("/requests/with-notification", verifyToken, async (req, res) => {
       try {
-        const data = req.body;
-        data.createdAt = new Date();
-        const result = await requestCollection.insertOne(data);
-
-        // Find matching donors and notify them
-        const matchingDonors = await userCollection
-          .find({
-            bloodGroup: data.blood_group,
-            status: "active",
-            role: { $in: ["donor", "volunteer"] },
-            email: { $ne: req.decodedEmail },
-          })
-          .limit(50)
-          .toArray();
+        const { value, errors } = validateBloodRequest(req.body);
+        if (errors) {
+          return sendValidationError(res, errors);
+        }
 
-        // Send notifications to matching donors
-        for (const donor of matchingDonors) {
-          await createNotification(
-            donor._id,
-            donor.email,
-            "urgent_request",
-            "Urgent Blood Request",
-            `Someone needs ${data.blood_group} blood in ${data.district}. Can you help?`,
-            { requestId: result.insertedId, bloodGroup: data.blood_group }
-          );
+        const data = await buildBloodRequest(req, value);
+        const duplicate = await findDuplicateRequest(data);
+        if (duplicate) {
+          return sendDuplicate(res, duplicate, { notifiedDonors: 0 });
         }
 
+        const result = await requestCollection.insertOne(data);
+
+        // Alert the best-ranked compatible donors
+        const matchingDonors = await alertRecommendedDonors(
+          { ...data, _id: result.insertedId },
+          {
+            title: "Urgent Blood Request",
+            message: `Someone needs ${data.blood_group} blood in ${data.district}. Can you help?`,
+          }
+        );
+
         res.send({ ...result, notifiedDonors: matchingDonors.length });
       } catch (error) {
         console.error("Create request with notification error:", error);
@@ -2912,6 +8582,268 @@ async function run() {
       }
     });
 
+    // ============ SCHEDULED JOBS ============
+    const JOB_BATCH_SIZE = 200;
+
+    const EXPIRABLE_STATUSES = REQUEST_STATUSES.filter(
+      (status) => REQUEST_TRANSITIONS[status].expired
+    );
+
+    // Wrap a job so a run is skipped while the previous one (from cron or
+    // HTTP) is still going. Resolves to the number of items processed, or
+    // null when skipped.
+    const jobRunner = (name, task) => {
+      let running = false;
+      return async () => {
+        if (running) return null;
+        running = true;
+        try {
+          const count = await task();
+          if (count) console.log(`Job ${name}: processed ${count}`);
+          return count || 0;
+        } finally {
+          running = false;
+        }
+      };
+    };
+
+    // Requests posted before neededBy existed only have donation_date and
+    // donation_time. Fill it in so they can expire too; dates that cannot
+    // be parsed are stored as null so they are not retried.
+    const backfillNeededBy = async () => {
+      const legacy = await requestCollection
+        .find(
+          {
+            donation_status: { $in: EXPIRABLE_STATUSES },
+            neededBy: { $exists: false },
+          },
+          { projection: { donation_date: 1, donation_time: 1 } }
+        )
+        .limit(JOB_BATCH_SIZE)
+        .toArray();
+      if (legacy.length === 0) return;
+
+      await requestCollection.bulkWrite(
+        legacy.map(({ _id, donation_date, donation_time }) => {
+          const neededBy =
+            typeof donation_date === "string" &&
+            /^\d{4}-\d{2}-\d{2}$/.test(donation_date)
+              ? computeNeededBy(
+                  donation_date,
+                  typeof donation_time === "string" ? donation_time : null
+                )
+              : null;
+          return {
+            updateOne: {
+              filter: { _id, neededBy: { $exists: false } },
+              update: {
+                $set: {
+                  neededBy:
+                    neededBy && !Number.isNaN(neededBy.getTime())
+                      ? neededBy
+                      : null,
+                },
+              },
+            },
+          };
+        })
+      );
+    };
+
+    // Expire open requests whose needed-by time has passed
+    const expireOverdueRequests = async () => {
+      await backfillNeededBy();
+
+      const overdue = await requestCollection
+        .find({
+          donation_status: { $in: EXPIRABLE_STATUSES },
+          neededBy: { $lt: new Date() },
+        })
+        .limit(JOB_BATCH_SIZE)
+        .toArray();
+
+      let expired = 0;
+      for (const request of overdue) {
+        const updated = await transitionRequest(request, "expired", {
+          by: "system",
+          actor: "system",
+          note: "Needed-by date passed",
+        });
+        if (!updated) continue;
+
+        expired++;
+        await notifyRequester(
+          updated,
+          "request_expired",
+          "Blood request expired",
+          `Your ${updated.blood_group} request for ${updated.recipientName} at ${updated.hospital} passed its needed-by date and was closed. Post a new request if blood is still needed.`
+        );
+      }
+      return expired;
+    };
+
+    // Remind requesters to close requests stuck in progress; at most once
+    // every STALE_REQUEST_DAYS per request
+    const remindStaleRequests = async () => {
+      const cutoff = new Date(Date.now() - STALE_REQUEST_DAYS * DAY_MS);
+      const stale = await requestCollection
+        .find({
+          donation_status: "inprogress",
+          updatedAt: { $lt: cutoff },
+          $or: [
+            { staleReminderSentAt: { $exists: false } },
+            { staleReminderSentAt: { $lt: cutoff } },
+          ],
+        })
+        .limit(JOB_BATCH_SIZE)
+        .toArray();
+
+      for (const request of stale) {
+        await requestCollection.updateOne(
+          { _id: request._id },
+          { $set: { staleReminderSentAt: new Date() } }
+        );
+        await notifyRequester(
+          request,
+          "request_stale",
+          "Is your blood request complete?",
+          `Your ${request.blood_group} request for ${request.recipientName} has been in progress for over ${STALE_REQUEST_DAYS} days. Please mark it done or cancel it.`
+        );
+      }
+      return stale.length;
+    };
+
+    // Release pledges whose hold lapsed without a check-in. The lapse counts
+    // as a withdrawal for matching, and the request is offered again.
+    const releaseExpiredHolds = async () => {
+      const now = new Date();
+      const requests = await requestCollection
+        .find({
+          pledges: {
+            $elemMatch: { status: "pledged", holdExpiresAt: { $lt: now } },
+          },
+        })
+        .limit(JOB_BATCH_SIZE)
+        .toArray();
+
+      let released = 0;
+      for (const request of requests) {
+        let latest = null;
+        const lapsed = request.pledges.filter(
+          (p) => p.status === "pledged" && p.holdExpiresAt < now
+        );
+
+        for (const pledge of lapsed) {
+          const updated = await requestCollection.findOneAndUpdate(
+            {
+              _id: request._id,
+              pledges: {
+                $elemMatch: {
+                  _id: pledge._id,
+                  status: "pledged",
+                  holdExpiresAt: { $lt: now },
+                },
+              },
+            },
+            {
+              $set: {
+                "pledges.$.status": "expired",
+                "pledges.$.updatedAt": now,
+                updatedAt: now,
+              },
+              $inc: { unitsPledged: -1 },
+            },
+            { returnDocument: "after" }
+          );
+          if (!updated) continue;
+
+          released++;
+          latest = updated;
+          const donor = await userCollection.findOneAndUpdate(
+            { email: pledge.donorEmail },
+            { $inc: { withdrawalCount: 1 }, $set: { lastWithdrawalAt: now } },
+            { projection: { _id: 1, email: 1 } }
+          );
+          if (donor) {
+            await createNotification(
+              donor._id,
+              donor.email,
+              "pledge_expired",
+              "Your pledge was released",
+              `You did not check in within ${CLAIM_HOLD_HOURS} hours, so your pledge for ${updated.recipientName} was released.`,
+              { requestId: updated._id }
+            );
+          }
+          await notifyRequester(
+            updated,
+            "donor_hold_expired",
+            "A donor did not confirm",
+            `${
+              pledge.donorName || "A donor"
+            } did not check in within ${CLAIM_HOLD_HOURS} hours, so their pledge was released. We are alerting other donors.`
+          );
+        }
+
+        if (latest) {
+          latest = await reopenIfUnpledged(latest, "Donor hold expired");
+          await alertRecommendedDonors(latest, {
+            title: "Blood Donor Still Needed",
+            message: `${latest.blood_group} blood is still needed in ${latest.district}. Can you help?`,
+          });
+        }
+      }
+      return released;
+    };
+
+    const JOBS = {
+      "expire-requests": {
+        schedule: "*/15 * * * *",
+        run: jobRunner("expire-requests", expireOverdueRequests),
+      },
+      "stale-request-reminders": {
+        schedule: "0 * * * *",
+        run: jobRunner("stale-request-reminders", remindStaleRequests),
+      },
+      "release-expired-holds": {
+        schedule: "*/5 * * * *",
+        run: jobRunner("release-expired-holds", releaseExpiredHolds),
+      },
+    };
+
+    if (SCHEDULER_ENABLED) {
+      for (const [name, job] of Object.entries(JOBS)) {
+        cron.schedule(job.schedule, () =>
+          job.run().catch((error) => console.error(`Job ${name} error:`, error))
+        );
+      }
+    }
+
+    // Serverless hosts such as Vercel never keep a process running for
+    // node-cron, so the jobs can also be triggered over HTTP. Vercel Cron
+    // sends "Authorization: Bearer <CRON_SECRET>". Disabled without a secret.
+    app.get("/jobs/:name", async (req, res) => {
+      const job = CRON_SECRET && JOBS[req.params.name];
+      if (!job) {
+        return res.status(404).send({ error: "Job not found" });
+      }
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      if (hashToken(token) !== hashToken(CRON_SECRET)) {
+        return res.status(401).send({ error: "Invalid cron secret" });
+      }
+
+      try {
+        const processed = await job.run();
+        res.send({
+          job: req.params.name,
+          skipped: processed === null,
+          processed: processed || 0,
+        });
+      } catch (error) {
+        console.error(`Job ${req.params.name} error:`, error);
+        res.status(500).send({ error: "Job failed" });
+      }
+    });
+
     await client.db("admin").command({ ping: 1 });
     console.log(
       "Pinged your deployment. You successfully connected to MongoDB!"
@@ -2937,3 +8869,29 @@ async function run() {
   }
 }
 run().catch(console.dir);
+
+// Used by the tests (and by Vercel, which imports the app)
+module.exports = app;
+
+// Pure helpers, exported for the unit tests
+Object.assign(module.exports, {
+  generateTotp,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  lockoutMinutesFor,
+  REQUEST_TRANSITIONS,
+  requestActorsFor,
+  transitionActor,
+  COMPATIBILITY_TABLES,
+  compatibleDonorGroups,
+  scoreDonor,
+  RECOMMENDATION_WEIGHTS,
+  isInQuietHours,
+  withIdTiebreak,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parsePagination,
+  parsePageNumber,
+});